@@ -24,6 +24,30 @@ class CodeStorage {
         return this.value;
     }
 
+    /**
+     * Load a JSON value, or null when nothing usable is stored
+     * @returns {*}
+     */
+    loadJSON() {
+        const stored = this.load();
+        if (stored === null) {
+            return null;
+        }
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save a value as JSON
+     * @param {*} value
+     */
+    saveJSON(value) {
+        return this.save(JSON.stringify(value));
+    }
+
     clear() {
         localStorage.removeItem(this.key);
         this.value = '';
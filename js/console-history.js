@@ -0,0 +1,131 @@
+/**
+ * Console History - Commands typed into a console, kept per language in localStorage
+ * Feeds the terminal's own history, so arrow keys and Ctrl+R search reach earlier sessions
+ */
+
+import CodeStorage from './code-storage.js';
+
+const HISTORY_LIMIT = 500;
+
+// "history", "history clear", "history 12" or "history <text>"; text that
+// starts with an operator is a statement such as "history = []" instead
+export const HISTORY_COMMAND = /^history(?:\s+([^\s=+\-*/%<>!&|^.[(:].*))?$/;
+
+class ConsoleHistory {
+    /**
+     * @param {string} storageKey - localStorage key of this console's history
+     */
+    constructor(storageKey) {
+        this.storage = new CodeStorage(storageKey);
+        const stored = this.storage.loadJSON();
+        this.entries = Array.isArray(stored)
+            ? stored.filter((entry) => typeof entry === 'string' && entry.trim()).slice(-HISTORY_LIMIT)
+            : [];
+        this.term = null;
+    }
+
+    /**
+     * Hand the stored commands to a jQuery Terminal created with `memory: true`
+     * @param {Object} term
+     */
+    attach(term) {
+        this.term = term;
+        this.sync();
+    }
+
+    /**
+     * Record a command, moving an earlier copy of it to the end
+     * @param {string} command
+     */
+    add(command) {
+        if (!command.trim()) {
+            return;
+        }
+        const index = this.entries.indexOf(command);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+        }
+        this.entries.push(command);
+        this.entries = this.entries.slice(-HISTORY_LIMIT);
+        this.storage.saveJSON(this.entries);
+        this.sync();
+    }
+
+    clear() {
+        this.entries = [];
+        this.storage.clear();
+        this.sync();
+    }
+
+    /**
+     * @param {string} text - Case-insensitive substring; empty matches everything
+     * @returns {Array<{number: number, command: string}>} 1-based numbers, oldest first
+     */
+    search(text) {
+        const needle = text.toLowerCase();
+        return this.entries
+            .map((command, index) => ({ number: index + 1, command }))
+            .filter((entry) => entry.command.toLowerCase().includes(needle));
+    }
+
+    /**
+     * Handle the console's `history` command
+     * @param {string} command - The line as typed
+     * @returns {boolean} Whether the line was a history command
+     */
+    handle(command) {
+        const match = HISTORY_COMMAND.exec(command.trim());
+        if (!match || !this.term) {
+            return false;
+        }
+        // The terminal already appended the line; history commands are not kept
+        this.sync();
+
+        const argument = (match[1] || '').trim();
+        if (argument === 'clear') {
+            this.clear();
+            this.term.echo('[[;#9ca3af;]History cleared]');
+            return true;
+        }
+        if (/^\d+$/.test(argument)) {
+            const entry = this.entries[Number(argument) - 1];
+            if (entry === undefined) {
+                this.term.error(`history: no entry ${argument}`);
+                return true;
+            }
+            // Run after the current command has finished drawing
+            setTimeout(() => this.term && this.term.exec(entry), 0);
+            return true;
+        }
+
+        const found = this.search(argument);
+        if (!found.length) {
+            this.term.echo(`[[;#9ca3af;]${argument ? 'No matching commands' : 'No history yet'}]`);
+            return true;
+        }
+        const width = String(found[found.length - 1].number).length;
+        for (const entry of found) {
+            const number = String(entry.number).padStart(width);
+            this.term.echo(`[[;#9ca3af;]${number}]  ${$.terminal.escape_brackets(entry.command)}`);
+        }
+        return true;
+    }
+
+    /**
+     * Replace the terminal's history with ours, which is deduplicated and capped
+     */
+    sync() {
+        if (!this.term) {
+            return;
+        }
+        const history = this.term.history();
+        history.set(this.entries.slice());
+        history.reset();
+    }
+
+    detach() {
+        this.term = null;
+    }
+}
+
+export default ConsoleHistory;
@@ -0,0 +1,254 @@
+/**
+ * Console Session - Inputs and outputs of a console, for export and replay
+ */
+
+export const EXPORT_FORMATS = [
+    { value: 'text', label: 'Transcript (.txt)' },
+    { value: 'markdown', label: 'Transcript (.md)' },
+    { value: 'source', label: 'Source file' }
+];
+
+// Fenced code blocks of a Markdown transcript
+const FENCE_PATTERN = /^```([\w-]*)[^\n]*\n([\s\S]*?)^```[ \t]*$/gm;
+
+/**
+ * Offer text as a file download
+ * @param {string} filename
+ * @param {string} text
+ */
+export function downloadText(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build the Export select and Import button shown above a console
+ * @param {Object} handlers
+ * @param {Function} handlers.onExport - Called with a format from EXPORT_FORMATS
+ * @param {Function} handlers.onImport - Called with the text of the chosen file
+ * @returns {HTMLElement}
+ */
+export function createSessionToolbar({ onExport, onImport }) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'repl-toolbar';
+
+    const exportSelect = document.createElement('select');
+    exportSelect.className = 'repl-export-select';
+    exportSelect.title = 'Download this session';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Export...';
+    placeholder.disabled = true;
+    exportSelect.appendChild(placeholder);
+    for (const format of EXPORT_FORMATS) {
+        const option = document.createElement('option');
+        option.value = format.value;
+        option.textContent = format.label;
+        exportSelect.appendChild(option);
+    }
+    exportSelect.value = '';
+    exportSelect.addEventListener('change', () => {
+        const format = exportSelect.value;
+        exportSelect.value = '';
+        if (format) {
+            onExport(format);
+        }
+    });
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.txt,.md,.py,.ts,.js,text/*';
+    importInput.className = 'hidden';
+    importInput.addEventListener('change', async () => {
+        const [file] = importInput.files;
+        importInput.value = '';
+        if (file) {
+            onImport(await file.text());
+        }
+    });
+
+    const importBtn = document.createElement('button');
+    importBtn.className = 'repl-import-btn';
+    importBtn.textContent = 'Import';
+    importBtn.title = 'Replay a transcript or source file in a fresh console';
+    importBtn.addEventListener('click', () => importInput.click());
+
+    toolbar.appendChild(exportSelect);
+    toolbar.appendChild(importBtn);
+    toolbar.appendChild(importInput);
+    return toolbar;
+}
+
+class ConsoleSession {
+    /**
+     * @param {Object} options
+     * @param {string} options.language - Markdown fence language, e.g. 'python'
+     * @param {string} options.title - e.g. 'Python Console'
+     * @param {string} options.extension - Of exported source files, e.g. 'py'
+     * @param {string} options.prompt - Main prompt, e.g. '>>> '
+     * @param {string} options.continuationPrompt - e.g. '... '
+     */
+    constructor({ language, title, extension, prompt, continuationPrompt }) {
+        this.language = language;
+        this.title = title;
+        this.extension = extension;
+        this.prompt = prompt;
+        this.continuationPrompt = continuationPrompt;
+        this.entries = [];
+    }
+
+    /**
+     * Record a line sent to the worker
+     * @param {string} text - One line, or a whole block
+     * @param {string} prompt - The prompt it was typed at
+     */
+    input(text, prompt) {
+        const current = this.entries[this.entries.length - 1];
+        if (current && prompt === this.continuationPrompt) {
+            current.lines.push(...text.split('\n'));
+            return;
+        }
+        this.entries.push({ lines: text.split('\n'), output: '', failed: false });
+    }
+
+    /**
+     * Record output of the latest input
+     * @param {string} text
+     */
+    output(text) {
+        const current = this.entries[this.entries.length - 1];
+        if (current && text) {
+            current.output += text;
+        }
+    }
+
+    /**
+     * Record an error of the latest input; failed inputs are left out of source exports
+     * @param {string} text
+     */
+    fail(text) {
+        const current = this.entries[this.entries.length - 1];
+        if (current) {
+            current.failed = true;
+            this.output(text.endsWith('\n') ? text : `${text}\n`);
+        }
+    }
+
+    /**
+     * @param {string} format - One of EXPORT_FORMATS
+     * @returns {{filename: string, text: string}}
+     */
+    export(format) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const base = `${this.title.toLowerCase().replace(/\s+/g, '-')}-${stamp}`;
+        switch (format) {
+            case 'markdown':
+                return { filename: `${base}.md`, text: this.toMarkdown() };
+            case 'source':
+                return { filename: `${base}.${this.extension}`, text: this.toSource() };
+            default:
+                return { filename: `${base}.txt`, text: this.toText() };
+        }
+    }
+
+    /**
+     * Inputs at their prompts, each followed by its output
+     * @returns {string}
+     */
+    toText() {
+        return this.entries.map((entry) => {
+            const input = entry.lines
+                .map((line, index) => `${index ? this.continuationPrompt : this.prompt}${line}`)
+                .join('\n');
+            return `${input}\n${entry.output}`;
+        }).join('');
+    }
+
+    /**
+     * @returns {string}
+     */
+    toMarkdown() {
+        const parts = [`# ${this.title} session`];
+        for (const entry of this.entries) {
+            parts.push(`\`\`\`${this.language}\n${trimBlankLines(entry.lines).join('\n')}\n\`\`\``);
+            if (entry.output) {
+                parts.push(`\`\`\`text\n${entry.output.replace(/\n$/, '')}\n\`\`\``);
+            }
+        }
+        return `${parts.join('\n\n')}\n`;
+    }
+
+    /**
+     * The inputs that ran without an error, as a script
+     * @returns {string}
+     */
+    toSource() {
+        const blocks = this.entries
+            .filter((entry) => !entry.failed)
+            .map((entry) => trimBlankLines(entry.lines))
+            .filter((lines) => lines.length);
+        // Multi-line inputs get a blank line after them, as in a hand-written script
+        return blocks.map((lines) => lines.join('\n') + (lines.length > 1 ? '\n' : '')).join('\n') + '\n';
+    }
+
+    /**
+     * Find the inputs of an exported transcript. Text without prompts or code fences
+     * is taken as one source file.
+     * @param {string} text
+     * @returns {Array<string>} One entry per input, ready to replay
+     */
+    parse(text) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+
+        const fenced = [...normalized.matchAll(FENCE_PATTERN)]
+            .filter((match) => match[1] !== 'text')
+            .map((match) => match[2].replace(/\n$/, ''));
+        if (fenced.length) {
+            return fenced.filter((input) => input.trim());
+        }
+
+        const prompt = this.prompt.trimEnd();
+        const continuation = this.continuationPrompt.trimEnd();
+        const inputs = [];
+        let current = null;
+        for (const line of normalized.split('\n')) {
+            if (line.startsWith(this.prompt) || line === prompt) {
+                current = [line.slice(this.prompt.length)];
+                inputs.push(current);
+            } else if (current && (line.startsWith(this.continuationPrompt) || line === continuation)) {
+                current.push(line.slice(this.continuationPrompt.length));
+            } else {
+                current = null;
+            }
+        }
+        if (inputs.length) {
+            return inputs.map((lines) => lines.join('\n')).filter((input) => input.trim());
+        }
+        return normalized.trim() ? [normalized] : [];
+    }
+}
+
+/**
+ * @param {Array<string>} lines
+ * @returns {Array<string>} Without leading and trailing blank lines
+ */
+function trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && !lines[start].trim()) {
+        start++;
+    }
+    while (end > start && !lines[end - 1].trim()) {
+        end--;
+    }
+    return lines.slice(start, end);
+}
+
+export default ConsoleSession;
@@ -8,6 +8,7 @@ import WindowManager from './window-manager.js';
 const DebugLogger = {
     replWorkerStatusEl: null,
     outputWorkerStatusEl: null,
+    analysisWorkerStatusEl: null,
     tsReplWorkerStatusEl: null,
     tsOutputWorkerStatusEl: null,
     logEl: null,
@@ -55,6 +56,11 @@ const DebugLogger = {
                                     <div class="flex-1 border-b border-gray-200 mx-1"></div>
                                     <div id="output-worker-status" class="worker-status status-not-initialized">Not initialized</div>
                                 </div>
+                                <div class="flex items-center gap-2">
+                                    <div class="font-medium text-gray-700">Analysis Worker:</div>
+                                    <div class="flex-1 border-b border-gray-200 mx-1"></div>
+                                    <div id="analysis-worker-status" class="worker-status status-not-initialized">Not initialized</div>
+                                </div>
                             </div>
 
                             <div class="flex flex-col gap-2">
@@ -89,6 +95,7 @@ const DebugLogger = {
                 // Now cache the element references
                 this.replWorkerStatusEl = document.getElementById('repl-worker-status');
                 this.outputWorkerStatusEl = document.getElementById('output-worker-status');
+                this.analysisWorkerStatusEl = document.getElementById('analysis-worker-status');
                 this.tsReplWorkerStatusEl = document.getElementById('ts-repl-worker-status');
                 this.tsOutputWorkerStatusEl = document.getElementById('ts-output-worker-status');
                 this.logEl = document.getElementById('debug-log');
@@ -118,6 +125,14 @@ const DebugLogger = {
         }
     },
 
+    updateAnalysisWorkerStatus(status) {
+        if (this.analysisWorkerStatusEl) {
+            this.analysisWorkerStatusEl.textContent = status;
+            this.analysisWorkerStatusEl.className = `worker-status ${getStatusClass(status)}`;
+            this.log(`[Analysis Worker] ${status}`);
+        }
+    },
+
     updateTsReplWorkerStatus(status) {
         if (this.tsReplWorkerStatusEl) {
             this.tsReplWorkerStatusEl.textContent = status;
@@ -178,6 +193,9 @@ const DebugLogger = {
         if (this.outputWorkerStatusEl) {
             this.outputWorkerStatusEl.textContent = 'Not initialized';
         }
+        if (this.analysisWorkerStatusEl) {
+            this.analysisWorkerStatusEl.textContent = 'Not initialized';
+        }
         if (this.tsReplWorkerStatusEl) {
             this.tsReplWorkerStatusEl.textContent = 'Not initialized';
         }
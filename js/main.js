@@ -3,11 +3,15 @@
  */
 
 import DebugLogger from './debug-logger.js';
+import OfflineCache from './offline-cache.js';
 import WindowManager from './window-manager.js';
 
 import PythonREPL from './pydiode/python-repl.js';
 import PythonEditor from './pydiode/python-editor.js';
 import PythonOutput from './pydiode/python-output.js';
+import PythonAnalysis from './pydiode/python-analysis.js';
+import PythonDebugger from './pydiode/python-debugger.js';
+import PythonVariables from './pydiode/python-variables.js';
 
 import TypeScriptREPL from './typescript/typescript-repl.js';
 import TypeScriptEditor from './typescript/typescript-editor.js';
@@ -19,6 +23,8 @@ const App = {
     editorWindowOpen: false,
     tsReplWindowOpen: false,
     tsEditorWindowOpen: false,
+    editorWindow: null,
+    tsEditorWindow: null,
 
     /**
      * Initialize the application
@@ -26,9 +32,12 @@ const App = {
     init() {
         DebugLogger.init();
         DebugLogger.log('Application initialized');
+        OfflineCache.init();
 
         this.checkDesktop();
         this.setupEventListeners();
+        this.connectOutputsToEditors();
+        this.connectDebugger();
 
         // Re-check on resize and adjust window positions
         window.addEventListener('resize', () => {
@@ -82,6 +91,58 @@ const App = {
         });
     },
 
+    /**
+     * Let errors in the output windows point into the editors
+     */
+    connectOutputsToEditors() {
+        PythonOutput.setEditorHooks({
+            onNavigate: (location) => {
+                this.openEditorWindow();
+                // A newly opened editor initializes on the next tick
+                setTimeout(() => {
+                    WindowManager.focusWindow(this.editorWindow);
+                    PythonEditor.goTo(location);
+                }, 0);
+            },
+            onErrors: (errors) => PythonEditor.setErrors(errors)
+        });
+        TypeScriptOutput.setEditorHooks({
+            onNavigate: (location) => {
+                this.openTypeScriptEditorWindow();
+                setTimeout(() => {
+                    WindowManager.focusWindow(this.tsEditorWindow);
+                    TypeScriptEditor.goTo(location);
+                }, 0);
+            },
+            onErrors: (errors) => TypeScriptEditor.setErrors(errors)
+        });
+    },
+
+    /**
+     * Let the Debugger window drive debug runs and show where they paused
+     */
+    connectDebugger() {
+        PythonDebugger.setHooks({
+            onCommand: (command) => PythonOutput.resumeDebugger(command, PythonEditor.getBreakpoints()),
+            onStop: () => PythonOutput.stop(),
+            onSelectFrame: (location) => PythonEditor.setExecutionLine(location)
+        });
+        PythonOutput.setDebugHooks({
+            onPause: (state) => {
+                PythonDebugger.show(state);
+                PythonEditor.setExecutionLine(state);
+            },
+            onResume: () => {
+                PythonDebugger.setRunning();
+                PythonEditor.setExecutionLine(null);
+            },
+            onEnd: () => {
+                PythonDebugger.finish();
+                PythonEditor.setExecutionLine(null);
+            }
+        });
+    },
+
     /**
      * Open a Python terminal window
      */
@@ -107,6 +168,7 @@ const App = {
                 this.pythonWindowOpen = false;
                 DebugLogger.log('Python window closed');
                 PythonREPL.destroy();
+                PythonVariables.close();
 
                 // Re-enable button
                 btn.disabled = false;
@@ -134,14 +196,16 @@ const App = {
         const btn = document.getElementById('open-editor-btn');
         btn.disabled = true;
 
-        WindowManager.createWindow({
+        this.editorWindow = WindowManager.createWindow({
             title: 'Python Editor',
             width: 800,
             height: 500,
             onClose: () => {
                 this.editorWindowOpen = false;
+                this.editorWindow = null;
                 DebugLogger.log('Editor window closed');
                 PythonEditor.destroy();
+                PythonAnalysis.destroy();
                 btn.disabled = false;
             },
             onReady: async (container) => {
@@ -152,14 +216,61 @@ const App = {
                         initialText: defaultEditorText,
                         storageKey: 'pythonEditorCode',
                         onRun: async () => {
-                            await PythonOutput.run(PythonEditor.getValue());
-                        }
+                            await PythonOutput.run(PythonEditor.getProject(), {
+                                timeLimit: PythonEditor.getTimeLimit()
+                            });
+                        },
+                        onDebug: async () => {
+                            await PythonOutput.run(PythonEditor.getProject(), {
+                                timeLimit: PythonEditor.getTimeLimit(),
+                                breakpoints: PythonEditor.getBreakpoints()
+                            });
+                        },
+                        onProfile: async () => {
+                            await PythonOutput.run(PythonEditor.getProject(), {
+                                timeLimit: PythonEditor.getTimeLimit(),
+                                profile: true
+                            });
+                        },
+                        onRunTests: async (file) => {
+                            await PythonOutput.runTests(PythonEditor.getProject(), file, {
+                                timeLimit: PythonEditor.getTimeLimit()
+                            });
+                        },
+                        onStop: () => {
+                            PythonOutput.stop();
+                        },
+                        onRunInConsole: (request) => {
+                            this.runInPythonConsole(request);
+                        },
+                        lint: (source, file) => PythonAnalysis.lint(source, file),
+                        complete: (query) => PythonAnalysis.complete(query),
+                        hover: (query) => PythonAnalysis.hover(query),
+                        writeFiles: (files) => PythonOutput.writeFiles(files)
                     });
                 }, 0);
             }
         });
     },
 
+    /**
+     * Run editor code in the Python Console, opening the console first if needed
+     * @param {Object} request - Source and location from the Python Editor
+     */
+    async runInPythonConsole(request) {
+        this.openPythonWindow();
+        try {
+            await PythonREPL.whenReady();
+        } catch (error) {
+            DebugLogger.log(`Run in Console failed: ${error.message}`);
+            return;
+        }
+        PythonREPL.runSource(request.source, {
+            ...request,
+            files: PythonEditor.getProject().files
+        });
+    },
+
     /**
      * Open a TypeScript REPL window
      */
@@ -214,12 +325,13 @@ const App = {
         const btn = document.getElementById('open-ts-editor-btn');
         btn.disabled = true;
 
-        WindowManager.createWindow({
+        this.tsEditorWindow = WindowManager.createWindow({
             title: 'TypeScript Editor',
             width: 800,
             height: 500,
             onClose: () => {
                 this.tsEditorWindowOpen = false;
+                this.tsEditorWindow = null;
                 DebugLogger.log('TypeScript Editor window closed');
                 TypeScriptEditor.destroy();
                 btn.disabled = false;
@@ -231,7 +343,15 @@ const App = {
                         initialText: defaultEditorText,
                         storageKey: 'typescriptEditorCode',
                         onRun: async () => {
-                            await TypeScriptOutput.run(TypeScriptEditor.getValue());
+                            await TypeScriptOutput.run(TypeScriptEditor.getValue(), {
+                                timeLimit: TypeScriptEditor.getTimeLimit()
+                            });
+                        },
+                        onProfile: async () => {
+                            await TypeScriptOutput.run(TypeScriptEditor.getValue(), {
+                                timeLimit: TypeScriptEditor.getTimeLimit(),
+                                profile: true
+                            });
                         }
                     });
                 }, 0);
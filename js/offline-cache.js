@@ -0,0 +1,120 @@
+/**
+ * Offline Cache - Registers the service worker in sw.js, reloads the page
+ * once the worker can make it cross-origin isolated, and reports its cache
+ * hits and misses in the Debug Console
+ */
+
+import DebugLogger from './debug-logger.js';
+
+// Misses listed by name in one report; the rest are counted
+const MAX_LISTED_MISSES = 5;
+
+// Set for the tab's session once it reloaded for isolation, so a browser
+// that ignores the headers does not reload forever
+const ISOLATION_RELOAD_KEY = 'offline-cache-isolation-reload';
+
+const OfflineCache = {
+    scriptURL: new URL('../sw.js', import.meta.url).href,
+
+    /**
+     * Register the service worker and start listening to it
+     */
+    init() {
+        if (!('serviceWorker' in navigator)) {
+            DebugLogger.log('Offline cache unavailable: service workers need HTTPS or localhost');
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', (event) => this.handleMessage(event.data));
+        navigator.serviceWorker.addEventListener('controllerchange', () => this.reloadForIsolation());
+        // Deliver the reports queued while the page was loading
+        navigator.serviceWorker.startMessages();
+
+        navigator.serviceWorker.register(this.scriptURL)
+            .then((registration) => {
+                if (registration.waiting) {
+                    this.logWaiting();
+                }
+            })
+            .catch((error) => {
+                DebugLogger.log(`Offline cache registration failed: ${error.message}`);
+            });
+    },
+
+    /**
+     * @param {Object} message - {type, data} from the service worker
+     */
+    handleMessage(message) {
+        if (!message || !message.data) {
+            return;
+        }
+        const { type, data } = message;
+
+        switch (type) {
+            case 'cache-report':
+                this.logReport(data);
+                break;
+
+            case 'cache-installed':
+                DebugLogger.log(`Offline cache ${data.version} stored ${data.cached} files`);
+                data.failed.forEach((url) => DebugLogger.log(`Offline cache could not store ${this.describe(url)}`));
+                if (navigator.serviceWorker.controller) {
+                    this.logWaiting();
+                }
+                break;
+
+            case 'cache-activated':
+                DebugLogger.log(`Offline cache ${data.version} active${data.removed.length ? `, removed ${data.removed.join(', ')}` : ''}`);
+                break;
+        }
+    },
+
+    /**
+     * @param {Object} report - {version, hits, misses, refreshed}, URLs fetched since the last report
+     */
+    logReport(report) {
+        const { hits, misses, refreshed } = report;
+        let text = `Offline cache ${report.version}: ${hits.length} hit${hits.length === 1 ? '' : 's'}, ${misses.length} miss${misses.length === 1 ? '' : 'es'}`;
+        if (refreshed.length) {
+            text += `, ${refreshed.length} refreshed from the network`;
+        }
+        if (misses.length) {
+            const listed = misses.slice(0, MAX_LISTED_MISSES).map((url) => this.describe(url));
+            const more = misses.length - listed.length;
+            text += ` (${listed.join(', ')}${more ? `, ${more} more` : ''})`;
+        }
+        DebugLogger.log(text);
+    },
+
+    /**
+     * The page a worker takes over was loaded without the isolation headers;
+     * reloading it through the worker gives it SharedArrayBuffer
+     */
+    reloadForIsolation() {
+        if (window.crossOriginIsolated || sessionStorage.getItem(ISOLATION_RELOAD_KEY)) {
+            return;
+        }
+        sessionStorage.setItem(ISOLATION_RELOAD_KEY, '1');
+        DebugLogger.log('Offline cache active; reloading so the page is cross-origin isolated');
+        window.location.reload();
+    },
+
+    logWaiting() {
+        DebugLogger.log('A new offline cache version is ready; it takes over once every playground tab is closed');
+    },
+
+    /**
+     * @param {string} url
+     * @returns {string} Path within the page for its own files, else the host and file name
+     */
+    describe(url) {
+        const target = new URL(url, window.location.href);
+        const base = new URL('./', window.location.href);
+        if (target.href.startsWith(base.href)) {
+            return target.href.slice(base.href.length) || 'index';
+        }
+        return `${target.hostname}/…/${target.pathname.split('/').pop()}`;
+    }
+};
+
+export default OfflineCache;
@@ -0,0 +1,42 @@
+/**
+ * Output Links - Turns file locations in output text into editor links
+ */
+
+/**
+ * Render text with the locations a pattern finds turned into links
+ * @param {string} text - Output text
+ * @param {RegExp} pattern - Global pattern matching one location
+ * @param {Function} toLocation - Maps a match to a location, or null to leave it as text
+ * @param {Function} onNavigate - Called with the location when its link is clicked
+ * @returns {DocumentFragment}
+ */
+export function linkifyLocations(text, pattern, toLocation, onNavigate) {
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(pattern)) {
+        const location = toLocation(match);
+        if (!location) {
+            continue;
+        }
+        if (match.index > lastIndex) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'output-link';
+        link.textContent = match[0];
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            onNavigate(location);
+        });
+        fragment.appendChild(link);
+        lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+    return fragment;
+}
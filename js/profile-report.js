@@ -0,0 +1,166 @@
+/**
+ * Profile Report - Sortable hotspot table for the results of a Profile run
+ */
+
+import { formatDuration } from './run-history.js';
+
+// Columns in order; numeric columns sort largest first when first clicked
+const COLUMNS = [
+    { key: 'name', label: 'Function', numeric: false },
+    { key: 'source', label: 'Location', numeric: false },
+    { key: 'calls', label: 'Calls', numeric: true },
+    { key: 'totalMs', label: 'Own time', numeric: true, title: 'Time in the function itself, without the functions it called' },
+    { key: 'cumulativeMs', label: 'Cumulative', numeric: true, title: 'Time from entering the function until it returned, calls included' }
+];
+
+/**
+ * @param {number} ms
+ * @returns {string} Times under a second keep fractions of a millisecond
+ */
+function formatTime(ms) {
+    if (ms >= 1000) {
+        return formatDuration(ms);
+    }
+    return `${ms.toFixed(ms < 1 ? 3 : ms < 100 ? 2 : 1)} ms`;
+}
+
+/**
+ * @param {Object} row
+ * @returns {string} e.g. "12" or "12/3" for recursive calls, like pstats
+ */
+function formatCalls(row) {
+    const primitive = row.primitiveCalls;
+    return primitive !== undefined && primitive !== row.calls ? `${row.calls}/${primitive}` : String(row.calls);
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Object} sort - {key, descending}
+ * @returns {Array<Object>}
+ */
+export function sortRows(rows, sort) {
+    const direction = sort.descending ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const left = a[sort.key];
+        const right = b[sort.key];
+        const order = typeof left === 'number' ? left - right : String(left).localeCompare(String(right));
+        return order * direction;
+    });
+}
+
+/**
+ * @param {Object} row
+ * @param {number} totalMs - The whole profile, for the share bar
+ * @param {Function} [onNavigate]
+ * @returns {HTMLTableRowElement}
+ */
+function createRow(row, totalMs, onNavigate) {
+    const tr = document.createElement('tr');
+
+    const name = tr.insertCell();
+    name.className = 'profile-name';
+    name.textContent = row.name;
+    name.title = row.name;
+
+    const source = tr.insertCell();
+    source.className = 'profile-source';
+    if (onNavigate && row.target) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'output-link';
+        link.textContent = row.source;
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            onNavigate(row.target);
+        });
+        source.appendChild(link);
+    } else {
+        source.textContent = row.source;
+    }
+    source.title = row.source;
+
+    const calls = tr.insertCell();
+    calls.className = 'profile-number';
+    calls.textContent = formatCalls(row);
+
+    for (const key of ['totalMs', 'cumulativeMs']) {
+        const cell = tr.insertCell();
+        cell.className = 'profile-number';
+        cell.textContent = formatTime(row[key]);
+        if (key === 'totalMs' && totalMs > 0) {
+            // Shaded by the share of own time, so hotspots stand out in any order
+            const share = Math.min(100, (row.totalMs / totalMs) * 100);
+            cell.style.setProperty('--profile-share', `${share}%`);
+            cell.classList.add('profile-share');
+            cell.title = `${share.toFixed(1)}% of the profiled time`;
+        }
+    }
+    return tr;
+}
+
+/**
+ * Render the results of one Profile run
+ * @param {Object} profile - {rows, hidden, totalMs} from the worker
+ * @param {Object} [context]
+ * @param {Function} [context.onNavigate] - Called with a row's target when its location is clicked
+ * @returns {HTMLElement}
+ */
+export function renderProfileReport(profile, context = {}) {
+    const { onNavigate } = context;
+    const rows = profile.rows || [];
+    const report = document.createElement('div');
+    report.className = 'profile-report';
+
+    const summary = document.createElement('div');
+    summary.className = 'profile-summary';
+    let text = `Profile: ${rows.length + (profile.hidden || 0)} functions, ${formatTime(profile.totalMs || 0)} profiled`;
+    if (profile.hidden) {
+        text += ` (the ${rows.length} with the most cumulative time are listed)`;
+    }
+    summary.textContent = text;
+    report.appendChild(summary);
+
+    if (!rows.length) {
+        return report;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'profile-table';
+    const head = table.createTHead().insertRow();
+    const body = table.createTBody();
+    const sort = { key: 'cumulativeMs', descending: true };
+
+    const render = () => {
+        for (const th of head.cells) {
+            const active = th.dataset.key === sort.key;
+            th.classList.toggle('is-sorted', active);
+            th.dataset.direction = active ? (sort.descending ? 'descending' : 'ascending') : '';
+        }
+        body.innerHTML = '';
+        for (const row of sortRows(rows, sort)) {
+            body.appendChild(createRow(row, profile.totalMs || 0, onNavigate));
+        }
+    };
+
+    for (const column of COLUMNS) {
+        const th = document.createElement('th');
+        th.textContent = column.label;
+        th.dataset.key = column.key;
+        th.className = column.numeric ? 'profile-number' : '';
+        th.title = column.title || `Sort by ${column.label.toLowerCase()}`;
+        th.addEventListener('click', () => {
+            if (sort.key === column.key) {
+                sort.descending = !sort.descending;
+            } else {
+                sort.key = column.key;
+                sort.descending = column.numeric;
+            }
+            render();
+        });
+        head.appendChild(th);
+    }
+
+    render();
+    report.appendChild(table);
+    return report;
+}
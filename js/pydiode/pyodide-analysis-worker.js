@@ -0,0 +1,113 @@
+/**
+ * Pyodide Analysis Worker
+ * Lints, completes and explains Python Editor buffers without touching the
+ * runtimes that run code
+ */
+
+import { MessageType, StatusMessage, createStatusMessage, createReadyMessage, createErrorMessage } from '../worker-messages.js';
+import { startPyodide } from './pyodide-loader.js';
+import { installLinter } from './pyodide-lint.js';
+import { installCompleter } from './pyodide-completion.js';
+import { syncProjectFiles } from './pyodide-fs.js';
+
+let pyodide = null;
+let lint = null;
+let completer = null;
+
+// jedi is only fetched once the editor first asks for completions or help
+function loadCompleter() {
+    if (!completer) {
+        self.postMessage(createStatusMessage('Loading jedi...'));
+        completer = installCompleter(pyodide).then((module) => {
+            self.postMessage(createStatusMessage(StatusMessage.READY));
+            return module;
+        });
+        completer.catch(() => {
+            completer = null;
+        });
+    }
+    return completer;
+}
+
+// Sibling files let jedi follow imports between project files
+async function prepareQuery(files) {
+    if (!pyodide) {
+        throw new Error(StatusMessage.NOT_INITIALIZED);
+    }
+    const module = await loadCompleter();
+    if (files) {
+        syncProjectFiles(pyodide, files);
+    }
+    return module;
+}
+
+async function loadPyodideInstance(options = {}) {
+    try {
+        pyodide = await startPyodide(options);
+        lint = installLinter(pyodide);
+
+        self.postMessage(createReadyMessage());
+    } catch (error) {
+        self.postMessage(createErrorMessage(error.message));
+    }
+}
+
+self.onmessage = async function (e) {
+    const { type, data } = e.data;
+
+    switch (type) {
+        case MessageType.INIT:
+            await loadPyodideInstance(data);
+            break;
+
+        case MessageType.LINT: {
+            const { id, source, file } = data;
+            let diagnostics = [];
+            try {
+                if (!lint) {
+                    throw new Error(StatusMessage.NOT_INITIALIZED);
+                }
+                const result = lint(source, file);
+                diagnostics = result.toJs({ dict_converter: Object.fromEntries });
+                result.destroy();
+            } catch (error) {
+                // A checker bug must not leave stale marks in the editor
+                self.postMessage(createStatusMessage(`Lint error: ${error.message}`));
+            }
+            self.postMessage({ type: MessageType.DIAGNOSTICS, id, diagnostics });
+            break;
+        }
+
+        case MessageType.COMPLETE: {
+            const { id, source, file, line, column, files } = data;
+            let completions = [];
+            try {
+                const module = await prepareQuery(files);
+                const result = module.complete(source, file, line, column);
+                completions = result.toJs({ dict_converter: Object.fromEntries });
+                result.destroy();
+            } catch (error) {
+                self.postMessage(createStatusMessage(`Completion error: ${error.message}`));
+            }
+            self.postMessage({ type: MessageType.COMPLETIONS, id, completions });
+            break;
+        }
+
+        case MessageType.HOVER: {
+            const { id, source, file, line, column, files } = data;
+            let info = null;
+            try {
+                const module = await prepareQuery(files);
+                const result = module.hover(source, file, line, column);
+                if (result) {
+                    info = result.toJs({ dict_converter: Object.fromEntries });
+                    result.destroy();
+                }
+            } catch (error) {
+                self.postMessage(createStatusMessage(`Hover error: ${error.message}`));
+            }
+            self.postMessage({ type: MessageType.HOVER_INFO, id, info });
+            break;
+        }
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Pyodide Completion Support
+ * Completions and hover help for the analysis worker, backed by jedi
+ */
+
+import { PROJECT_DIR, installHelperModule } from './pyodide-fs.js';
+
+const COMPLETION_MODULE = `
+"""Completions and hover help for the Python Editor, backed by jedi."""
+import jedi
+
+PROJECT_DIR = ${JSON.stringify(PROJECT_DIR)}
+MAX_COMPLETIONS = 200
+
+# Workers cannot start subprocesses; analyze with this interpreter
+ENVIRONMENT = jedi.InterpreterEnvironment()
+PROJECT = jedi.Project(PROJECT_DIR, added_sys_path=[PROJECT_DIR])
+
+
+def _script(source, name):
+    return jedi.Script(source, path=f"{PROJECT_DIR}/{name}", project=PROJECT, environment=ENVIRONMENT)
+
+
+def complete(source, name, line, column):
+    """Completions at a 1-based line and 0-based column."""
+    try:
+        completions = _script(source, name).complete(line, column)
+    except Exception:
+        return []
+    return [
+        {"name": item.name, "type": item.type, "module": item.module_name or ""}
+        for item in completions[:MAX_COMPLETIONS]
+    ]
+
+
+def hover(source, name, line, column):
+    """Signatures and docstring of the name at a position, or None."""
+    try:
+        names = _script(source, name).help(line, column)
+    except Exception:
+        return None
+    # Keyword help is a page of the language reference, too long for a tooltip
+    if not names or names[0].type == "keyword":
+        return None
+    found = names[0]
+    try:
+        signatures = [signature.to_string() for signature in found.get_signatures()]
+    except Exception:
+        signatures = []
+    return {
+        "name": found.full_name or found.name,
+        "type": found.type,
+        "signatures": signatures,
+        "doc": found.docstring(raw=True),
+    }
+`;
+
+/**
+ * Load jedi, install the completion module and return it
+ * @param {Object} pyodide - Pyodide instance
+ * @returns {Promise<Object>} PyProxy of the module, with complete() and hover()
+ */
+export async function installCompleter(pyodide) {
+    await pyodide.loadPackage('jedi');
+    installHelperModule(pyodide, 'playground_complete', COMPLETION_MODULE);
+    return pyodide.pyimport('playground_complete');
+}
@@ -0,0 +1,70 @@
+/**
+ * Pyodide Runtime Configuration
+ * Shared by the REPL and output workers so both load the same runtime
+ */
+
+export const PYODIDE_VERSION = '0.29.3';
+
+// Where the Pyodide runtime can be served from
+export const PyodideSource = {
+    LOCAL: 'local',
+    CDN: 'cdn'
+};
+
+export const PyodideConfig = {
+    // Default source; can be overridden per page load with ?pyodide=cdn or ?pyodide=<url>
+    source: PyodideSource.LOCAL,
+    localURL: new URL('../vendor/pyodide/', import.meta.url).href,
+    cdnURL: `https://cdn.jsdelivr.net/pyodide/v${PYODIDE_VERSION}/full/`,
+    // Directory serving the lockfile wheels, relative to this file or absolute;
+    // null uses the indexURL, which is where the full distribution keeps them
+    packagesURL: null
+};
+
+function withTrailingSlash(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Resolve the indexURL Pyodide should be loaded from
+ * @param {string} [override] - A PyodideSource value or an absolute mirror URL
+ * @returns {string}
+ */
+export function resolveIndexURL(override = null) {
+    const source = override || PyodideConfig.source;
+
+    if (source === PyodideSource.LOCAL) {
+        return withTrailingSlash(PyodideConfig.localURL);
+    }
+    if (source === PyodideSource.CDN) {
+        return withTrailingSlash(PyodideConfig.cdnURL);
+    }
+    try {
+        return withTrailingSlash(new URL(source).href);
+    } catch (error) {
+        throw new Error(`Invalid Pyodide source: ${source}`);
+    }
+}
+
+/**
+ * Resolve the base URL wheels from pyodide-lock.json are fetched from
+ * @param {string} indexURL - The resolved runtime indexURL
+ * @returns {string}
+ */
+export function resolvePackageBaseURL(indexURL) {
+    if (!PyodideConfig.packagesURL) {
+        return indexURL;
+    }
+    return withTrailingSlash(new URL(PyodideConfig.packagesURL, import.meta.url).href);
+}
+
+/**
+ * Read the per-page Pyodide source override (main thread only)
+ * @returns {string|null}
+ */
+export function getPageOverride() {
+    if (typeof window === 'undefined' || !window.location) {
+        return null;
+    }
+    return new URLSearchParams(window.location.search).get('pyodide');
+}
@@ -0,0 +1,140 @@
+/**
+ * Pyodide Debugger
+ * A sys.settrace debugger for scripts run from the Python Editor. It pauses at
+ * breakpoints and steps, and describes the paused stack for the Debugger window
+ */
+
+import { installHelperModule } from './pyodide-fs.js';
+
+const DEBUGGER_MODULE = `
+"""Pause project code at breakpoints and step through it."""
+import json
+import os
+import reprlib
+import sys
+import types
+
+# Scopes larger than this are cut in the Debugger window
+VARIABLE_LIMIT = 200
+
+_repr = reprlib.Repr()
+_repr.maxstring = 120
+_repr.maxother = 120
+_repr.maxlevel = 3
+
+
+def describe(value):
+    try:
+        text = _repr.repr(value)
+    except Exception as e:
+        text = f"<repr failed: {type(e).__name__}>"
+    return {"type": type(value).__name__, "value": text}
+
+
+def variables(namespace):
+    """Name, type and short repr of each variable, leaving out dunders and modules."""
+    items = []
+    for name, value in list(namespace.items()):
+        if name.startswith("__") and name.endswith("__") or isinstance(value, types.ModuleType):
+            continue
+        if len(items) == VARIABLE_LIMIT:
+            items.append({"name": "...", "type": "", "value": f"{len(namespace) - VARIABLE_LIMIT} more"})
+            break
+        items.append({"name": name, **describe(value)})
+    return items
+
+
+class Debugger:
+    """Trace project files only; the standard library and packages run untraced.
+
+    wait(state_json) blocks until the Debugger window answers with
+    {"command": "continue" | "over" | "into" | "out", "breakpoints": {...}}.
+    """
+
+    def __init__(self, project_dir, breakpoints, wait):
+        self.prefix = project_dir + os.sep
+        self.wait = wait
+        self.mode = "continue"
+        # The frame "over" and "out" step within; its return stops in the caller
+        self.stop_frame = None
+        self.set_breakpoints(breakpoints)
+
+    def set_breakpoints(self, breakpoints):
+        """breakpoints maps project file names to 1-based line numbers."""
+        self.breakpoints = {self.prefix + name: set(lines) for name, lines in breakpoints.items() if lines}
+
+    def start(self):
+        sys.settrace(self.trace_call)
+
+    def stop(self):
+        sys.settrace(None)
+
+    def trace_call(self, frame, event, arg):
+        filename = frame.f_code.co_filename
+        if not filename.startswith(self.prefix):
+            return None
+        # Running to a breakpoint only needs line events in files that have one
+        if self.mode == "continue" and filename not in self.breakpoints:
+            return None
+        return self.trace_line
+
+    def trace_line(self, frame, event, arg):
+        if event == "line" and self.should_stop(frame):
+            self.pause(frame)
+        elif event == "return" and frame is self.stop_frame:
+            self.mode = "into"
+            self.stop_frame = None
+        return self.trace_line
+
+    def should_stop(self, frame):
+        lines = self.breakpoints.get(frame.f_code.co_filename)
+        if lines and frame.f_lineno in lines:
+            return True
+        if self.mode == "into":
+            return True
+        return self.mode == "over" and frame is self.stop_frame
+
+    def pause(self, frame):
+        stack = []
+        current = frame
+        while current is not None:
+            if current.f_code.co_filename.startswith(self.prefix):
+                # Callers entered while running untraced must see the next step
+                current.f_trace = self.trace_line
+                stack.append(current)
+            current = current.f_back
+
+        state = {
+            "file": self.relative(frame),
+            "line": frame.f_lineno,
+            "frames": [self.describe_frame(item) for item in stack],
+        }
+        reply = self.wait(json.dumps(state))
+        reply = json.loads(reply) if reply else {}
+        if "breakpoints" in reply:
+            self.set_breakpoints(reply["breakpoints"])
+        self.mode = reply.get("command", "continue")
+        self.stop_frame = frame if self.mode in ("over", "out") else None
+
+    def relative(self, frame):
+        return frame.f_code.co_filename[len(self.prefix):]
+
+    def describe_frame(self, frame):
+        is_module = frame.f_code.co_name == "<module>"
+        return {
+            "name": frame.f_code.co_name,
+            "file": self.relative(frame),
+            "line": frame.f_lineno,
+            # A module's locals are its globals
+            "locals": [] if is_module else variables(frame.f_locals),
+            "globals": variables(frame.f_globals),
+        }
+`;
+
+/**
+ * Install the debugger module; the output worker's _run_code imports it
+ * @param {Object} pyodide - Pyodide instance
+ */
+export function installDebugger(pyodide) {
+    installHelperModule(pyodide, 'playground_debugger', DEBUGGER_MODULE);
+}
@@ -0,0 +1,112 @@
+/**
+ * Pyodide Display Support
+ * Installs display() and a matplotlib backend that send figures to the
+ * Python Output window as image messages
+ */
+
+import { installHelperModule } from './pyodide-fs.js';
+
+const DISPLAY_MODULE = `
+"""Send images to the Python Output window."""
+import base64
+import sys
+
+from js import Object, postMessage
+
+PNG_SIGNATURE = b"\\x89PNG\\r\\n\\x1a\\n"
+
+
+def send_image(mime, data, alt=""):
+    if isinstance(data, str):
+        data = data.encode("utf-8")
+    msg = Object.new()
+    msg.type = "image"
+    msg.mime = mime
+    msg.data = base64.b64encode(data).decode("ascii")
+    msg.alt = alt
+    postMessage(msg)
+
+
+def send_figure(figure):
+    import io
+
+    buffer = io.BytesIO()
+    figure.savefig(buffer, format="png", bbox_inches="tight")
+    send_image("image/png", buffer.getvalue(), "matplotlib figure")
+
+
+def flush_figures():
+    """Send and close every open pyplot figure."""
+    if "matplotlib.pyplot" not in sys.modules:
+        return
+    plt = sys.modules["matplotlib.pyplot"]
+    for num in plt.get_fignums():
+        send_figure(plt.figure(num))
+    plt.close("all")
+
+
+def image_repr(obj):
+    """The first PNG or SVG repr obj provides, as (mime, data), or None."""
+    # Classes expose the reprs as unbound functions
+    if isinstance(obj, type):
+        return None
+    for mime, name in (("image/png", "_repr_png_"), ("image/svg+xml", "_repr_svg_")):
+        method = getattr(obj, name, None)
+        data = method() if callable(method) else None
+        # IPython allows (data, metadata) pairs, and None when there is no image
+        if isinstance(data, tuple) and data:
+            data = data[0]
+        if isinstance(data, (bytes, bytearray, str)):
+            return mime, data
+    return None
+
+
+def display(*objs):
+    """Show figures and objects with a PNG or SVG repr inline, print the rest."""
+    for obj in objs:
+        if hasattr(obj, "savefig"):
+            send_figure(obj)
+            continue
+        image = image_repr(obj)
+        if image:
+            send_image(image[0], image[1], type(obj).__name__)
+        elif isinstance(obj, (bytes, bytearray)) and obj.startswith(PNG_SIGNATURE):
+            send_image("image/png", bytes(obj))
+        else:
+            print(repr(obj))
+`;
+
+// Selected through MPLBACKEND; pyplot.show() sends the figures instead of opening windows
+const MATPLOTLIB_BACKEND = `
+"""matplotlib backend for the Python Output window."""
+from matplotlib.backend_bases import FigureManagerBase
+from matplotlib.backends.backend_agg import FigureCanvasAgg
+
+from playground_display import flush_figures
+
+FigureCanvas = FigureCanvasAgg
+FigureManager = FigureManagerBase
+
+
+def show(*args, **kwargs):
+    flush_figures()
+`;
+
+/**
+ * Install the display modules, select the backend and add display() to builtins
+ * @param {Object} pyodide - Pyodide instance
+ */
+export function installDisplay(pyodide) {
+    installHelperModule(pyodide, 'playground_display', DISPLAY_MODULE);
+    installHelperModule(pyodide, 'playground_mpl_backend', MATPLOTLIB_BACKEND);
+
+    pyodide.runPython(`
+import builtins
+import os
+
+os.environ["MPLBACKEND"] = "module://playground_mpl_backend"
+
+from playground_display import display
+builtins.display = display
+    `);
+}
@@ -0,0 +1,205 @@
+/**
+ * Pyodide Filesystem Helpers
+ * Mounts the IndexedDB-backed home directory and syncs Python Editor
+ * project files into it
+ */
+
+import { StatusMessage, createStatusMessage, createStreamMessage } from '../worker-messages.js';
+
+// Pyodide's home and working directory
+export const PROJECT_DIR = '/home/pyodide';
+
+// Playground helper modules; outside the project directory so user files
+// cannot shadow them
+export const HELPER_DIR = '/lib/playground';
+
+// Names written by the last project sync, kept in the home so that files
+// deleted from the editor are also removed after a page reload
+const MANIFEST_PATH = `${PROJECT_DIR}/.project-files.json`;
+
+let persistent = false;
+let pending = Promise.resolve();
+// Home entries as of the last load or save, keyed by path; a save only
+// touches what differs from them
+let known = {};
+
+/**
+ * Mount IndexedDB storage at the home directory and load what it holds.
+ * Falls back to the in-memory home when IndexedDB is unavailable.
+ * @param {Object} pyodide - Pyodide instance
+ * @returns {Promise<void>}
+ */
+export async function mountHome(pyodide) {
+    self.postMessage(createStatusMessage(StatusMessage.MOUNTING_HOME));
+    try {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+        pyodide.FS.mkdirTree(PROJECT_DIR);
+        pyodide.FS.mount(pyodide.FS.filesystems.IDBFS, {}, PROJECT_DIR);
+        persistent = true;
+        await syncHome(pyodide, true);
+    } catch (error) {
+        self.postMessage(createStatusMessage(`Home directory is not persistent: ${error.message}`));
+    }
+}
+
+/**
+ * Load files the other worker saved since the last sync
+ * @param {Object} pyodide - Pyodide instance
+ * @returns {Promise<void>}
+ */
+export function loadHome(pyodide) {
+    return syncHome(pyodide, true);
+}
+
+/**
+ * Save the home directory to IndexedDB, reporting failures on stderr
+ * @param {Object} pyodide - Pyodide instance
+ * @returns {Promise<void>}
+ */
+export async function saveHome(pyodide) {
+    try {
+        await syncHome(pyodide, false);
+    } catch (error) {
+        self.postMessage(createStreamMessage('stderr', `${error.message}\n`));
+    }
+}
+
+// Emscripten refuses overlapping syncfs calls, so queue them
+function syncHome(pyodide, load) {
+    if (!persistent) {
+        return Promise.resolve();
+    }
+    pending = pending.catch(() => {}).then(async () => {
+        try {
+            if (load) {
+                await new Promise((resolve, reject) => {
+                    pyodide.FS.syncfs(true, (error) => (error ? reject(error) : resolve()));
+                });
+            } else {
+                await saveChanges(pyodide);
+            }
+            known = (await readEntries(pyodide, 'getLocalSet')).entries;
+        } catch (error) {
+            throw new Error(`Failed to ${load ? 'load' : 'save'} the home directory: ${error.message || error}`);
+        }
+    });
+    return pending;
+}
+
+/**
+ * @param {Object} pyodide - Pyodide instance
+ * @param {string} method - getLocalSet or getRemoteSet of IDBFS
+ * @returns {Promise<Object>} {type, entries} keyed by path, with a timestamp each
+ */
+function readEntries(pyodide, method) {
+    const mount = pyodide.FS.lookupPath(PROJECT_DIR).node.mount;
+    return new Promise((resolve, reject) => {
+        pyodide.FS.filesystems.IDBFS[method](mount, (error, set) => (error ? reject(error) : resolve(set)));
+    });
+}
+
+/**
+ * Store what this worker changed since it last loaded or saved, and remove
+ * what it deleted. A plain syncfs save would mirror the whole directory and
+ * delete the files the other worker saved in the meantime
+ * @param {Object} pyodide - Pyodide instance
+ * @returns {Promise<void>}
+ */
+async function saveChanges(pyodide) {
+    const local = await readEntries(pyodide, 'getLocalSet');
+    const remote = await readEntries(pyodide, 'getRemoteSet');
+
+    const changed = {};
+    for (const [path, entry] of Object.entries(local.entries)) {
+        const before = known[path];
+        if (!before || before.timestamp.getTime() !== entry.timestamp.getTime()) {
+            changed[path] = entry;
+        }
+    }
+    const deleted = {};
+    for (const path of Object.keys(known)) {
+        if (!local.entries[path] && remote.entries[path]) {
+            deleted[path] = remote.entries[path];
+        }
+    }
+
+    // reconcile stores every source entry the destination lacks and removes
+    // every destination entry the source lacks, so these sets limit it to
+    // exactly the changes
+    await new Promise((resolve, reject) => {
+        pyodide.FS.filesystems.IDBFS.reconcile(
+            { type: 'local', entries: changed },
+            { type: 'remote', db: remote.db, entries: deleted },
+            (error) => (error ? reject(error) : resolve())
+        );
+    });
+}
+
+function readManifest(pyodide) {
+    try {
+        const names = JSON.parse(pyodide.FS.readFile(MANIFEST_PATH, { encoding: 'utf8' }));
+        return Array.isArray(names) ? names : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Write the project files and remove ones deleted since the last sync
+ * @param {Object} pyodide - Pyodide instance
+ * @param {Array<{name: string, content: string}>} files
+ */
+export function syncProjectFiles(pyodide, files) {
+    const names = new Set(files.map((file) => file.name));
+
+    for (const name of readManifest(pyodide)) {
+        if (!names.has(name)) {
+            try {
+                pyodide.FS.unlink(`${PROJECT_DIR}/${name}`);
+            } catch (error) {
+                // Already removed by the script itself
+            }
+        }
+    }
+
+    pyodide.FS.mkdirTree(PROJECT_DIR);
+    for (const file of files) {
+        pyodide.FS.writeFile(`${PROJECT_DIR}/${file.name}`, file.content);
+    }
+    pyodide.FS.writeFile(MANIFEST_PATH, JSON.stringify([...names]));
+}
+
+/**
+ * Write files into the home directory and save them right away, unlike
+ * project files, which are rewritten before every run
+ * @param {Object} pyodide - Pyodide instance
+ * @param {Array<{name: string, bytes: Uint8Array}>} files
+ * @returns {Promise<void>} Rejects when the files cannot be saved
+ */
+export async function writeHomeFiles(pyodide, files) {
+    await loadHome(pyodide);
+    pyodide.FS.mkdirTree(PROJECT_DIR);
+    for (const file of files) {
+        pyodide.FS.writeFile(`${PROJECT_DIR}/${file.name}`, file.bytes);
+    }
+    await syncHome(pyodide, false);
+}
+
+/**
+ * Write a playground helper module and make it importable
+ * @param {Object} pyodide - Pyodide instance
+ * @param {string} name - Module name
+ * @param {string} source - Module source
+ */
+export function installHelperModule(pyodide, name, source) {
+    pyodide.FS.mkdirTree(HELPER_DIR);
+    pyodide.FS.writeFile(`${HELPER_DIR}/${name}.py`, source);
+    pyodide.runPython(`
+import sys
+
+if ${JSON.stringify(HELPER_DIR)} not in sys.path:
+    sys.path.append(${JSON.stringify(HELPER_DIR)})
+    `);
+}
@@ -0,0 +1,380 @@
+/**
+ * Pyodide Lint Support
+ * A small pyflakes-style checker for the analysis worker: syntax errors,
+ * undefined names and unused imports
+ */
+
+import { installHelperModule } from './pyodide-fs.js';
+
+const LINT_MODULE = `
+"""Syntax errors, undefined names and unused imports for the Python Editor."""
+import ast
+import builtins
+
+# Defined at run time in every script
+IMPLICIT_NAMES = frozenset(dir(builtins)) | {
+    "__file__", "__name__", "__builtins__", "__doc__", "__spec__",
+    "__loader__", "__package__", "__annotations__", "__path__", "display",
+}
+
+
+def form_name(node):
+    """The name of a typing form such as Literal or typing.Literal, whose
+    arguments are not all type expressions."""
+    if isinstance(node, ast.Name):
+        return node.id
+    if isinstance(node, ast.Attribute):
+        return node.attr
+    return None
+
+
+class Scope:
+    def __init__(self, kind, parent=None):
+        self.kind = kind
+        self.parent = parent
+        self.bindings = set()
+        # name -> import nodes binding it, for unused-import reports
+        self.imports = {}
+        self.used_imports = set()
+        self.star_import = False
+
+    def visible_chain(self):
+        """Scopes a name lookup searches, innermost first. Class bodies are
+        only visible from their own body, not from nested functions."""
+        scope = self
+        first = True
+        while scope is not None:
+            if first or scope.kind != "class":
+                yield scope
+            first = False
+            scope = scope.parent
+
+
+class Collector(ast.NodeVisitor):
+    """Record the bindings of every scope and the names each scope loads."""
+
+    def __init__(self):
+        self.module = Scope("module")
+        self.scope = self.module
+        self.loads = []
+        self.scopes = [self.module]
+
+    def bind(self, name, scope=None):
+        (scope or self.scope).bindings.add(name)
+
+    def push(self, kind):
+        scope = Scope(kind, self.scope)
+        self.scopes.append(scope)
+        self.scope = scope
+        return scope
+
+    def pop(self):
+        self.scope = self.scope.parent
+
+    def visit_many(self, nodes):
+        for node in nodes:
+            if node is not None:
+                self.visit(node)
+
+    # Names
+
+    def visit_Name(self, node):
+        if isinstance(node.ctx, ast.Load):
+            self.loads.append((self.scope, node.id, node))
+        else:
+            self.bind(node.id)
+            if isinstance(node.ctx, ast.Del):
+                self.loads.append((self.scope, node.id, node))
+
+    def visit_Global(self, node):
+        for name in node.names:
+            self.bind(name, self.module)
+            self.bind(name)
+
+    def visit_Nonlocal(self, node):
+        for name in node.names:
+            self.bind(name)
+
+    def visit_NamedExpr(self, node):
+        self.visit(node.value)
+        # Walrus targets in comprehensions bind in the enclosing function
+        scope = self.scope
+        while scope.kind == "comprehension":
+            scope = scope.parent
+        self.bind(node.target.id, scope)
+
+    # Imports
+
+    def add_import(self, name, node):
+        self.bind(name)
+        self.scope.imports.setdefault(name, []).append(node)
+
+    def visit_Import(self, node):
+        for alias in node.names:
+            if alias.asname:
+                # "import a.b as c" binds c; "import a as a" is an explicit re-export
+                if alias.asname != alias.name:
+                    self.add_import(alias.asname, node)
+                else:
+                    self.bind(alias.asname)
+            else:
+                self.add_import(alias.name.split(".")[0], node)
+
+    def visit_ImportFrom(self, node):
+        for alias in node.names:
+            if alias.name == "*":
+                self.scope.star_import = True
+            elif node.module == "__future__":
+                continue
+            elif alias.asname and alias.asname == alias.name:
+                self.bind(alias.asname)
+            else:
+                self.add_import(alias.asname or alias.name, node)
+
+    # Annotations
+
+    def visit_annotation(self, node):
+        """Visit a type expression, including the names inside string forward
+        references such as 'os.PathLike'."""
+        if isinstance(node, ast.Constant) and isinstance(node.value, str):
+            try:
+                parsed = ast.parse(node.value.strip(), mode="eval").body
+            except SyntaxError:
+                return
+            # Report names found in the string at the string itself
+            for child in ast.walk(parsed):
+                ast.copy_location(child, node)
+            self.visit_annotation(parsed)
+        elif isinstance(node, ast.Subscript) and form_name(node.value) == "Literal":
+            # Literal["text"] holds values, not forward references
+            self.visit(node.value)
+        elif isinstance(node, ast.Subscript) and form_name(node.value) == "Annotated":
+            self.visit(node.value)
+            args = node.slice.elts if isinstance(node.slice, ast.Tuple) else [node.slice]
+            self.visit_annotation(args[0])
+            self.visit_many(args[1:])
+        elif isinstance(node, (ast.Subscript, ast.Attribute, ast.BinOp, ast.Tuple, ast.List)):
+            for child in ast.iter_child_nodes(node):
+                self.visit_annotation(child)
+        else:
+            self.visit(node)
+
+    def visit_AnnAssign(self, node):
+        self.visit(node.target)
+        self.visit_annotation(node.annotation)
+        if node.value is not None:
+            self.visit(node.value)
+
+    # Scopes
+
+    def visit_arguments(self, args):
+        for arg in args.posonlyargs + args.args + args.kwonlyargs:
+            self.bind(arg.arg)
+        for arg in (args.vararg, args.kwarg):
+            if arg is not None:
+                self.bind(arg.arg)
+
+    def visit_annotations(self, args):
+        for arg in args.posonlyargs + args.args + args.kwonlyargs + [args.vararg, args.kwarg]:
+            if arg is not None and arg.annotation is not None:
+                self.visit_annotation(arg.annotation)
+
+    def visit_function(self, node):
+        self.visit_many(node.decorator_list)
+        self.visit_many(node.args.defaults)
+        self.visit_many(node.args.kw_defaults)
+        self.visit_annotations(node.args)
+        if node.returns is not None:
+            self.visit_annotation(node.returns)
+        self.bind(node.name)
+
+        in_class = self.scope.kind == "class"
+        self.push("function")
+        if in_class:
+            # The implicit cell behind zero-argument super()
+            self.bind("__class__")
+        self.visit_type_params(node)
+        self.visit_arguments(node.args)
+        self.visit_many(node.body)
+        self.pop()
+
+    visit_FunctionDef = visit_function
+    visit_AsyncFunctionDef = visit_function
+
+    def visit_Lambda(self, node):
+        self.visit_many(node.args.defaults)
+        self.visit_many(node.args.kw_defaults)
+        self.push("function")
+        self.visit_arguments(node.args)
+        self.visit(node.body)
+        self.pop()
+
+    def visit_ClassDef(self, node):
+        self.visit_many(node.decorator_list)
+        self.visit_many(node.bases)
+        self.visit_many(node.keywords)
+        self.bind(node.name)
+
+        self.push("class")
+        self.bind("__qualname__")
+        self.bind("__module__")
+        self.visit_type_params(node)
+        self.visit_many(node.body)
+        self.pop()
+
+    def visit_type_params(self, node):
+        for param in getattr(node, "type_params", ()):
+            self.bind(param.name)
+
+    def visit_comprehension_node(self, node):
+        # The first iterable is evaluated in the enclosing scope
+        self.visit(node.generators[0].iter)
+        self.push("comprehension")
+        for index, generator in enumerate(node.generators):
+            self.visit(generator.target)
+            if index:
+                self.visit(generator.iter)
+            self.visit_many(generator.ifs)
+        if isinstance(node, ast.DictComp):
+            self.visit(node.key)
+            self.visit(node.value)
+        else:
+            self.visit(node.elt)
+        self.pop()
+
+    visit_ListComp = visit_comprehension_node
+    visit_SetComp = visit_comprehension_node
+    visit_DictComp = visit_comprehension_node
+    visit_GeneratorExp = visit_comprehension_node
+
+    # Other binding statements
+
+    def visit_ExceptHandler(self, node):
+        if node.name:
+            self.bind(node.name)
+        self.generic_visit(node)
+
+    def bind_optional(self, name):
+        if name:
+            self.bind(name)
+
+    def visit_MatchAs(self, node):
+        self.bind_optional(node.name)
+        self.generic_visit(node)
+
+    def visit_MatchStar(self, node):
+        self.bind_optional(node.name)
+
+    def visit_MatchMapping(self, node):
+        self.bind_optional(node.rest)
+        self.generic_visit(node)
+
+    def visit_TypeAlias(self, node):
+        self.visit(node.name)
+        self.push("function")
+        self.visit_type_params(node)
+        self.visit(node.value)
+        self.pop()
+
+
+def char_column(lines, lineno, col):
+    """ast columns count UTF-8 bytes; editors count characters."""
+    if col is None or not 0 < lineno <= len(lines):
+        return col or 0
+    return len(lines[lineno - 1].encode("utf-8")[:col].decode("utf-8", "ignore"))
+
+
+def diagnostic(lines, node, message, severity):
+    line = node.lineno
+    end_line = getattr(node, "end_lineno", None) or line
+    return {
+        "line": line,
+        "column": char_column(lines, line, node.col_offset) + 1,
+        "endLine": end_line,
+        "endColumn": char_column(lines, end_line, getattr(node, "end_col_offset", None)) + 1,
+        "message": message,
+        "severity": severity,
+    }
+
+
+def syntax_diagnostic(error):
+    line = error.lineno or 1
+    column = error.offset or 1
+    end_line = getattr(error, "end_lineno", None) or line
+    end_column = getattr(error, "end_offset", None) or column + 1
+    if (end_line, end_column) <= (line, column):
+        end_line, end_column = line, column + 1
+    return {
+        "line": line,
+        "column": column,
+        "endLine": end_line,
+        "endColumn": end_column,
+        "message": f"{type(error).__name__}: {error.msg}",
+        "severity": "error",
+    }
+
+
+def exported_names(tree):
+    """Names listed in a literal __all__."""
+    names = set()
+    for node in tree.body:
+        if isinstance(node, (ast.Assign, ast.AugAssign)):
+            targets = node.targets if isinstance(node, ast.Assign) else [node.target]
+            if any(isinstance(t, ast.Name) and t.id == "__all__" for t in targets):
+                if isinstance(node.value, (ast.List, ast.Tuple)):
+                    names.update(
+                        elt.value for elt in node.value.elts
+                        if isinstance(elt, ast.Constant) and isinstance(elt.value, str)
+                    )
+    return names
+
+
+def lint(source, filename="<editor>"):
+    """Return diagnostics as dicts with 1-based line/column ranges."""
+    try:
+        tree = ast.parse(source, filename)
+        # Catches errors the parser accepts, like "return" outside a function
+        compile(tree, filename, "exec", dont_inherit=True)
+    except (SyntaxError, ValueError) as error:
+        if isinstance(error, SyntaxError):
+            return [syntax_diagnostic(error)]
+        return []
+
+    lines = source.splitlines()
+    collector = Collector()
+    collector.visit(tree)
+
+    results = []
+    for scope, name, node in collector.loads:
+        owner = next((s for s in scope.visible_chain() if name in s.bindings), None)
+        if owner is not None:
+            if name in owner.imports:
+                owner.used_imports.add(name)
+            continue
+        if name in IMPLICIT_NAMES:
+            continue
+        if any(s.star_import for s in scope.visible_chain()):
+            continue
+        results.append(diagnostic(lines, node, f"undefined name '{name}'", "error"))
+
+    exported = exported_names(tree)
+    for scope in collector.scopes:
+        for name, nodes in scope.imports.items():
+            if name in scope.used_imports or (scope is collector.module and name in exported):
+                continue
+            for node in nodes:
+                results.append(diagnostic(lines, node, f"'{name}' imported but unused", "warning"))
+
+    results.sort(key=lambda item: (item["line"], item["column"]))
+    return results
+`;
+
+/**
+ * Install the lint module and return its lint(source, filename) function
+ * @param {Object} pyodide - Pyodide instance
+ * @returns {Object} PyProxy of lint
+ */
+export function installLinter(pyodide) {
+    installHelperModule(pyodide, 'playground_lint', LINT_MODULE);
+    return pyodide.pyimport('playground_lint').lint;
+}
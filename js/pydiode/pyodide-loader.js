@@ -0,0 +1,86 @@
+/**
+ * Pyodide Loader
+ * Starts Pyodide in a worker, restoring the shared runtime snapshot when the
+ * page has one, or taking it when this is the first worker to start. A
+ * snapshot that cannot be restored is dropped and Python boots as usual
+ */
+
+import { StatusMessage, createStatusMessage, createSnapshotMessage } from '../worker-messages.js';
+import { resolveIndexURL, resolvePackageBaseURL } from './pyodide-config.js';
+
+// Restoring takes well under a second. Pyodide never settles when the
+// snapshot's memory cannot be instantiated, so it is abandoned after this
+const RESTORE_TIMEOUT_MS = 15000;
+
+/**
+ * Send the snapshot to PyodideRuntime on the main thread. Taken before
+ * anything else runs, so it holds none of this worker's state
+ * @param {Object} pyodide - Instance loaded with _makeSnapshot
+ */
+function shareSnapshot(pyodide) {
+    try {
+        const snapshot = pyodide.makeMemorySnapshot().buffer;
+        self.postMessage(createSnapshotMessage(snapshot), [snapshot]);
+    } catch (error) {
+        self.postMessage(createSnapshotMessage(null, error.message));
+    }
+}
+
+/**
+ * @param {Function} loadPyodide
+ * @param {Object} settings - loadPyodide options without the snapshot
+ * @param {ArrayBuffer} snapshot
+ * @returns {Promise<Object>} Pyodide instance; rejects when restoring fails
+ */
+function restoreSnapshot(loadPyodide, settings, snapshot) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no response after ${RESTORE_TIMEOUT_MS / 1000} s`)), RESTORE_TIMEOUT_MS);
+    });
+    return Promise.race([loadPyodide({ ...settings, _loadSnapshot: snapshot }), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load Pyodide for a worker
+ * @param {Object} options - The worker's init data
+ * @param {string} [options.source] - Page override of the Pyodide source
+ * @param {ArrayBuffer} [options.snapshot] - Snapshot to restore from
+ * @param {boolean} [options.makeSnapshot] - Take the snapshot and share it
+ * @param {Object} [config] - More loadPyodide options, such as stdin or stdout
+ * @returns {Promise<Object>} Pyodide instance
+ */
+export async function startPyodide(options, config = {}) {
+    const indexURL = resolveIndexURL(options.source);
+
+    self.postMessage(createStatusMessage(StatusMessage.FETCHING_PYODIDE));
+
+    const { loadPyodide } = await import(indexURL + 'pyodide.mjs');
+
+    const settings = {
+        ...config,
+        indexURL: indexURL,
+        packageBaseUrl: resolvePackageBaseURL(indexURL)
+    };
+
+    if (options.snapshot) {
+        self.postMessage(createStatusMessage(StatusMessage.RESTORING_SNAPSHOT));
+        try {
+            return await restoreSnapshot(loadPyodide, settings, options.snapshot);
+        } catch (error) {
+            // PyodideRuntime stops handing out the snapshot
+            self.postMessage(createSnapshotMessage(null, `restoring it failed: ${error.message}`));
+        }
+    }
+
+    self.postMessage(createStatusMessage(StatusMessage.INITIALIZING));
+
+    const pyodide = await loadPyodide({
+        ...settings,
+        _makeSnapshot: Boolean(options.makeSnapshot)
+    });
+    if (options.makeSnapshot) {
+        shareSnapshot(pyodide);
+    }
+    return pyodide;
+}
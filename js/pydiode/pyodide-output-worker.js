@@ -3,23 +3,89 @@
  * Runs full Python scripts and streams stdout/stderr
  */
 
-import { MessageType, StatusMessage, createStatusMessage, createStreamMessage, createReadyMessage, createErrorMessage, createResultMessage, createDoneMessage } from '../worker-messages.js';
+import { MessageType, StatusMessage, createStreamMessage, createReadyMessage, createErrorMessage, createResultMessage, createTestResultsMessage, createDoneMessage, createInputRequestMessage, createPausedMessage, createFilesWrittenMessage } from '../worker-messages.js';
+import SyncChannel, { ChannelState } from '../sync-channel.js';
+import { startPyodide } from './pyodide-loader.js';
+import { loadPackagesForSource } from './pyodide-packages.js';
+import { installDisplay } from './pyodide-display.js';
+import { installTestRunner } from './pyodide-tests.js';
+import { installDebugger } from './pyodide-debugger.js';
+import { installProfiler } from './pyodide-profile.js';
+import { PROJECT_DIR, mountHome, loadHome, saveHome, syncProjectFiles, writeHomeFiles } from './pyodide-fs.js';
 
 let pyodide = null;
 let runCode = null;
+let runTests = null;
+let stdinChannel = null;
+let stdinQueue = [];
+let inputWaitMs = 0;
 
-async function loadPyodideInstance() {
-    const indexURL = 'https://cdn.jsdelivr.net/pyodide/v0.27.5/full/';
+/**
+ * Post a message to the main thread and block until it answers on the channel
+ * @param {Object} message
+ * @returns {string|null} The answer, or null on end of input
+ */
+function waitForAnswer(message) {
+    stdinChannel.prepare();
+    self.postMessage(message);
+    const waitStart = performance.now();
+    const { state, text } = stdinChannel.wait();
+    inputWaitMs += performance.now() - waitStart;
+    if (state === ChannelState.INTERRUPTED) {
+        // Raises KeyboardInterrupt in the frame that is blocked
+        pyodide.checkInterrupt();
+    }
+    return state === ChannelState.READY ? text : null;
+}
 
-    try {
-        self.postMessage(createStatusMessage(StatusMessage.FETCHING_PYODIDE));
+// Serve stdin from the up-front text first, then ask the output window
+function readStdin() {
+    if (stdinQueue.length) {
+        return stdinQueue.shift();
+    }
+    if (!stdinChannel) {
+        return null;
+    }
+    return waitForAnswer(createInputRequestMessage());
+}
 
-        const { loadPyodide } = await import(indexURL + 'pyodide.mjs');
+// Called by the debugger at each pause; time paused counts as waiting for input
+function waitForDebugger(stateJson) {
+    return waitForAnswer(createPausedMessage(JSON.parse(stateJson)));
+}
+
+// Linear memory only grows, so its size after a run is the run's peak
+function wasmMemoryBytes() {
+    return pyodide._module.HEAP8.buffer.byteLength;
+}
 
-        self.postMessage(createStatusMessage(StatusMessage.INITIALIZING));
+function setStdinText(text) {
+    stdinQueue = text ? text.split(/(?<=\n)/) : [];
+}
 
-        pyodide = await loadPyodide({
-            indexURL: indexURL,
+/**
+ * Write the project into the file system and load the packages it imports
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Promise<number>} Milliseconds spent loading packages
+ */
+async function prepareProject(files) {
+    // Pick up files the Python Console saved since the last run
+    await loadHome(pyodide);
+    syncProjectFiles(pyodide, files);
+    const packagesStart = performance.now();
+    // Per file, since one file with a syntax error hides every import
+    for (const file of files.filter((item) => item.name.endsWith('.py'))) {
+        await loadPackagesForSource(pyodide, file.content);
+    }
+    return performance.now() - packagesStart;
+}
+
+async function loadPyodideInstance(options = {}) {
+    try {
+        stdinChannel = options.stdinBuffer ? new SyncChannel(options.stdinBuffer) : null;
+
+        pyodide = await startPyodide(options, {
+            stdin: readStdin,
             stdout: (text) => {
                 if (text) {
                     self.postMessage(createStreamMessage('stdout', text));
@@ -31,13 +97,25 @@ async function loadPyodideInstance() {
                 }
             }
         });
+        await mountHome(pyodide);
+        installDisplay(pyodide);
+        installTestRunner(pyodide);
+        installDebugger(pyodide);
+        installProfiler(pyodide);
 
         pyodide.runPython(`
-import builtins
+import importlib
+import os
 import runpy
 import sys
 import traceback
 from js import Object, postMessage
+from playground_display import flush_figures
+from playground_debugger import Debugger
+from playground_profile import Profile
+from playground_tests import run_tests
+
+PROJECT_DIR = ${JSON.stringify(PROJECT_DIR)}
 
 
 class JSStream:
@@ -60,29 +138,60 @@ class JSStream:
         return False
 
 
-def _run_code(code: str):
+def _forget_project_modules():
+    # Re-import sibling modules on every run so edits to them take effect
+    prefix = PROJECT_DIR + os.sep
+    for name, module in list(sys.modules.items()):
+        path = getattr(module, "__file__", None)
+        if path and path.startswith(prefix):
+            del sys.modules[name]
+    importlib.invalidate_caches()
+
+
+def _project_frames(e):
+    """[file, line] for each traceback frame in a project file, innermost last."""
+    prefix = PROJECT_DIR + os.sep
+    frames = [(frame.filename, frame.lineno) for frame in traceback.extract_tb(e.__traceback__)]
+    if isinstance(e, SyntaxError) and e.filename and e.lineno:
+        frames.append((e.filename, e.lineno))
+    return [[name[len(prefix):], line] for name, line in frames if name.startswith(prefix)]
+
+
+def _run_code(entry: str, args, env, cwd: str, breakpoints=None, wait=None, profile=False):
     old_stdout = sys.stdout
     old_stderr = sys.stderr
     old_argv = sys.argv
-    old_input = builtins.input
+    old_environ = dict(os.environ)
     exit_code = 0
     exc_text = ""
-
-    def _no_input(*args, **kwargs):
-        raise RuntimeError("input() is not supported yet.")
+    frames = []
+    profiler = Profile(PROJECT_DIR) if profile else None
 
     try:
         sys.stdout = JSStream("stdout")
         sys.stderr = JSStream("stderr")
-        sys.argv = ["code.py"]
-        builtins.input = _no_input
+        sys.argv = [entry, *args]
+        os.environ.update(env)
 
-        path = "/tmp/code.py"
-        with open(path, "w", encoding="utf-8") as f:
-            f.write(code)
+        # Run like "python entry.py args" from the project directory, or from
+        # the run configuration's working directory, relative to it
+        _forget_project_modules()
+        workdir = os.path.join(PROJECT_DIR, os.path.expanduser(cwd))
+        if not os.path.isdir(workdir):
+            print(f"Working directory not found: {workdir}", file=sys.stderr)
+            return 2, "", [], None
+        os.chdir(workdir)
+        if not sys.path or sys.path[0] != PROJECT_DIR:
+            sys.path.insert(0, PROJECT_DIR)
 
+        # Debug runs trace project code; breakpoints maps file names to lines
+        debugger = Debugger(PROJECT_DIR, breakpoints, wait) if breakpoints is not None else None
         try:
-            runpy.run_path(path, run_name="__main__")
+            if debugger:
+                debugger.start()
+            if profiler:
+                profiler.start()
+            runpy.run_path(os.path.join(PROJECT_DIR, entry), run_name="__main__")
         except SystemExit as e:
             if isinstance(e.code, int):
                 exit_code = e.code
@@ -92,20 +201,62 @@ def _run_code(code: str):
                 exit_code = 1
             if e.code not in (None, 0):
                 print(f"SystemExit: {e.code}", file=sys.stderr)
-    except Exception:
+        finally:
+            if profiler:
+                profiler.stop()
+            if debugger:
+                debugger.stop()
+    except KeyboardInterrupt:
+        # Returned rather than printed; the output window renders it with links
+        exc_text = traceback.format_exc()
+        exit_code = 130
+    except Exception as e:
         exc_text = traceback.format_exc()
-        print(exc_text, file=sys.stderr, end="")
+        frames = _project_frames(e)
         exit_code = 1
     finally:
+        # Figures the script never showed, as a notebook cell would
+        try:
+            flush_figures()
+        except Exception:
+            traceback.print_exc()
         sys.stdout = old_stdout
         sys.stderr = old_stderr
         sys.argv = old_argv
-        builtins.input = old_input
+        # Configurations must not leak into later runs
+        os.environ.clear()
+        os.environ.update(old_environ)
+
+    # A failed or interrupted run is still profiled up to where it stopped
+    return exit_code, exc_text, frames, profiler.rows() if profiler else None
 
-    return exit_code, exc_text
+
+def _run_tests(file: str):
+    old_stdout = sys.stdout
+    old_stderr = sys.stderr
+    try:
+        # Output outside a test, e.g. at import, streams like a run's
+        sys.stdout = JSStream("stdout")
+        sys.stderr = JSStream("stderr")
+        _forget_project_modules()
+        os.chdir(PROJECT_DIR)
+        if not sys.path or sys.path[0] != PROJECT_DIR:
+            sys.path.insert(0, PROJECT_DIR)
+        return run_tests(os.path.join(PROJECT_DIR, file), os.path.splitext(file)[0])
+    finally:
+        try:
+            flush_figures()
+        except Exception:
+            traceback.print_exc()
+        sys.stdout = old_stdout
+        sys.stderr = old_stderr
         `);
 
         runCode = pyodide.globals.get('_run_code');
+        runTests = pyodide.globals.get('_run_tests');
+        if (options.interruptBuffer) {
+            pyodide.setInterruptBuffer(options.interruptBuffer);
+        }
 
         self.postMessage(createReadyMessage());
     } catch (error) {
@@ -118,7 +269,7 @@ self.onmessage = async function (e) {
 
     switch (type) {
         case MessageType.INIT:
-            await loadPyodideInstance();
+            await loadPyodideInstance(data);
             break;
 
         case MessageType.RUN:
@@ -128,20 +279,98 @@ self.onmessage = async function (e) {
             }
 
             try {
-                const { code } = data;
-                const result = runCode(code);
-                const [exitCode, exception] = result.toJs();
+                const { files, entry, args = [], env = {}, cwd = '', stdin, breakpoints = null, profile = false } = data;
+                if (!entry) {
+                    throw new Error('The project has no Python file to run');
+                }
+                const packagesMs = await prepareProject(files);
+                setStdinText(stdin);
+
+                const pyArgs = pyodide.toPy(args);
+                const pyEnv = pyodide.toPy(env);
+                // undefined, not null: Pyodide passes null to Python as jsnull rather than None
+                const pyBreakpoints = breakpoints ? pyodide.toPy(breakpoints) : undefined;
+                const memoryBefore = wasmMemoryBytes();
+                inputWaitMs = 0;
+                const runStart = performance.now();
+                let result;
+                try {
+                    result = runCode(entry, pyArgs, pyEnv, cwd, pyBreakpoints, pyBreakpoints ? waitForDebugger : undefined, profile);
+                } finally {
+                    pyArgs.destroy();
+                    pyEnv.destroy();
+                    if (pyBreakpoints) {
+                        pyBreakpoints.destroy();
+                    }
+                }
+                const wallMs = performance.now() - runStart;
+                const [exitCode, exception, frames, stats] = result.toJs({ dict_converter: Object.fromEntries });
                 result.destroy();
 
+                const memoryBytes = wasmMemoryBytes();
                 self.postMessage(createResultMessage({
                     exception: exception || '',
-                    exitCode: Number.isFinite(exitCode) ? exitCode : 0
+                    exitCode: Number.isFinite(exitCode) ? exitCode : 0,
+                    frames: frames.map(([file, line]) => ({ file, line })),
+                    profile: stats || null,
+                    metrics: {
+                        wallMs,
+                        inputWaitMs,
+                        packagesMs,
+                        memoryBytes,
+                        memoryGrowthBytes: memoryBytes - memoryBefore,
+                        memoryLabel: 'WASM memory'
+                    }
                 }));
             } catch (error) {
                 self.postMessage(createErrorMessage(error.message));
             } finally {
+                await saveHome(pyodide);
                 self.postMessage(createDoneMessage());
             }
             break;
+
+        case MessageType.RUN_TESTS:
+            if (!pyodide || !runTests) {
+                self.postMessage(createErrorMessage(StatusMessage.NOT_INITIALIZED));
+                return;
+            }
+
+            try {
+                const { files, file, stdin } = data;
+                if (!file || !file.endsWith('.py')) {
+                    throw new Error('Open a Python file to run its tests');
+                }
+                await prepareProject(files);
+                setStdinText(stdin);
+                inputWaitMs = 0;
+                const runStart = performance.now();
+                const result = runTests(file);
+                const wallMs = performance.now() - runStart;
+                const results = result.toJs({ dict_converter: Object.fromEntries });
+                result.destroy();
+                self.postMessage(createTestResultsMessage(file, results, wallMs));
+            } catch (error) {
+                self.postMessage(createErrorMessage(error.message));
+            } finally {
+                await saveHome(pyodide);
+                self.postMessage(createDoneMessage());
+            }
+            break;
+
+        case MessageType.WRITE_FILES: {
+            const { id, files } = data;
+            if (!pyodide) {
+                self.postMessage(createFilesWrittenMessage(id, StatusMessage.NOT_INITIALIZED));
+                return;
+            }
+            try {
+                await writeHomeFiles(pyodide, files);
+                self.postMessage(createFilesWrittenMessage(id));
+            } catch (error) {
+                self.postMessage(createFilesWrittenMessage(id, error.message));
+            }
+            break;
+        }
     }
 };
@@ -0,0 +1,91 @@
+/**
+ * Pyodide Package Loader
+ * Loads lockfile packages for the imports found in a piece of source
+ */
+
+import { StatusMessage, createStatusMessage, createStreamMessage } from '../worker-messages.js';
+
+let findImports = null;
+let importIndex = null;
+
+// Map top-level import names (e.g. "sklearn") to lockfile package names
+function getImportIndex(pyodide) {
+    if (!importIndex) {
+        importIndex = new Map();
+        for (const info of Object.values(pyodide.lockfile.packages)) {
+            for (const name of info.imports || []) {
+                importIndex.set(name, info.name);
+            }
+        }
+    }
+    return importIndex;
+}
+
+/**
+ * List packages the source needs that are not loaded yet
+ * @param {Object} pyodide - Pyodide instance
+ * @param {string} source - Python source
+ * @returns {string[]}
+ */
+export function findMissingPackages(pyodide, source) {
+    if (!findImports) {
+        findImports = pyodide.pyimport('pyodide.code').find_imports;
+    }
+
+    // find_imports returns an empty list for incomplete or invalid source
+    const proxy = findImports(source);
+    const imports = proxy.toJs();
+    proxy.destroy();
+
+    const index = getImportIndex(pyodide);
+    const missing = new Set();
+    for (const name of imports) {
+        const packageName = index.get(name.split('.')[0]);
+        if (packageName && !(packageName in pyodide.loadedPackages)) {
+            missing.add(packageName);
+        }
+    }
+    return [...missing];
+}
+
+/**
+ * Load the packages a piece of source imports, posting per-package status
+ * @param {Object} pyodide - Pyodide instance
+ * @param {string} source - Python source
+ * @returns {Promise<string[]>} Names of the packages that were loaded
+ */
+export async function loadPackagesForSource(pyodide, source) {
+    const packages = findMissingPackages(pyodide, source);
+    if (!packages.length) {
+        return packages;
+    }
+
+    const reportError = (message) => {
+        self.postMessage(createStreamMessage('stderr', `${message}\n`));
+    };
+
+    for (let i = 0; i < packages.length; i += 1) {
+        const name = packages[i];
+        // Dependencies pulled in by an earlier package are already loaded
+        if (name in pyodide.loadedPackages) {
+            continue;
+        }
+        self.postMessage(createStatusMessage(`Loading ${name} (${i + 1}/${packages.length})...`));
+        try {
+            await pyodide.loadPackage(name, {
+                messageCallback: () => {},
+                errorCallback: reportError
+            });
+        } catch (error) {
+            // The import itself will fail with ModuleNotFoundError
+            reportError(`Failed to load package ${name}: ${error.message}`);
+        }
+    }
+
+    const loaded = packages.filter((name) => name in pyodide.loadedPackages);
+    if (loaded.length) {
+        self.postMessage(createStatusMessage(`Loaded ${loaded.join(', ')}`));
+    }
+    self.postMessage(createStatusMessage(StatusMessage.READY));
+    return loaded;
+}
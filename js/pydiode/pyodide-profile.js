@@ -0,0 +1,74 @@
+/**
+ * Pyodide Profile
+ * Runs scripts from the Python Editor under cProfile and turns the stats into
+ * rows for the Python Output's hotspot table
+ */
+
+import { installHelperModule } from './pyodide-fs.js';
+
+const PROFILE_MODULE = `
+"""Summarize a cProfile run of project code as plain rows."""
+import cProfile
+import os
+import pstats
+import runpy
+
+# Rows beyond this many, by cumulative time, are left out of the table
+ROW_LIMIT = 300
+
+
+# runpy may be frozen, so its frames name the code's file rather than __file__
+RUNPY_FILE = runpy.run_path.__code__.co_filename
+
+
+def _is_machinery(filename, name):
+    """Frames of the run itself rather than of the script."""
+    return filename == RUNPY_FILE or "_lsprof.Profiler" in name
+
+
+class Profile:
+    """Profile what runs between start() and stop(); rows() describes it."""
+
+    def __init__(self, project_dir):
+        self.prefix = project_dir + os.sep
+        self.profiler = cProfile.Profile()
+
+    def start(self):
+        self.profiler.enable()
+
+    def stop(self):
+        self.profiler.disable()
+
+    def rows(self):
+        stats = pstats.Stats(self.profiler).stats
+        rows = []
+        for (filename, line, name), (primitive, calls, total, cumulative, callers) in stats.items():
+            if _is_machinery(filename, name):
+                continue
+            in_project = filename.startswith(self.prefix)
+            file = filename[len(self.prefix):] if in_project else filename
+            rows.append({
+                "name": name,
+                # Built-ins have no file; cProfile names them "~"
+                "source": f"{file}:{line}" if filename != "~" else "built-in",
+                "target": {"file": file, "line": line} if in_project else None,
+                "calls": calls,
+                "primitiveCalls": primitive,
+                "totalMs": total * 1000,
+                "cumulativeMs": cumulative * 1000,
+            })
+        rows.sort(key=lambda row: row["cumulativeMs"], reverse=True)
+        return {
+            "rows": rows[:ROW_LIMIT],
+            "hidden": max(0, len(rows) - ROW_LIMIT),
+            "totalMs": sum(row["totalMs"] for row in rows),
+        }
+`;
+
+/**
+ * Install the profile module; the output worker's _run_code imports it
+ * @param {Object} pyodide - Pyodide instance
+ */
+export function installProfiler(pyodide) {
+    installHelperModule(pyodide, 'playground_profile', PROFILE_MODULE);
+}
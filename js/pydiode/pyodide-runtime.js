@@ -0,0 +1,109 @@
+/**
+ * Pyodide Runtime - Shares one Python start-up between the Pyodide workers
+ * The first worker to start takes a memory snapshot right after loadPyodide,
+ * before any code runs, and sends it here; later workers restore from it
+ * instead of booting Python again. Each worker still has its own instance,
+ * so the console, the editor runs and analysis keep separate namespaces
+ */
+
+import DebugLogger from '../debug-logger.js';
+
+const PyodideRuntime = {
+    // ArrayBuffer of the snapshot, once a worker has shared it
+    snapshot: null,
+    // The worker taking the snapshot, while it starts
+    maker: null,
+    // Set once a worker could not restore the snapshot; later ones boot normally
+    failed: false,
+    _waiters: [],
+
+    /**
+     * Send a new worker its init message once it is known how it should start
+     * @param {Worker} worker
+     * @param {Object} data - Init data; gains snapshot or makeSnapshot
+     */
+    start(worker, data) {
+        this.acquire(worker).then((runtime) => {
+            worker.postMessage({ type: 'init', data: { ...data, ...runtime } });
+        });
+    },
+
+    /**
+     * @param {Worker} worker
+     * @returns {Promise<Object>} {snapshot} to restore from, {makeSnapshot: true}
+     *   for the first worker, or {} to start without either
+     */
+    acquire(worker) {
+        if (this.failed) {
+            return Promise.resolve({});
+        }
+        if (this.snapshot) {
+            return Promise.resolve({ snapshot: this.snapshot });
+        }
+        if (this.maker) {
+            // Starting Python a second time would take longer than waiting
+            DebugLogger.log('Waiting for the shared Python runtime snapshot');
+            return new Promise((resolve) => this._waiters.push(resolve));
+        }
+        this.maker = worker;
+        return Promise.resolve({ makeSnapshot: true });
+    },
+
+    /**
+     * Keep the snapshot a worker took and start the workers waiting for it
+     * @param {Worker} worker
+     * @param {ArrayBuffer|null} snapshot - null when taking or restoring it failed
+     * @param {string} [message] - Why it failed
+     */
+    provide(worker, snapshot, message) {
+        if (worker !== this.maker) {
+            if (!snapshot) {
+                this.discard(message);
+            }
+            return;
+        }
+        if (!snapshot) {
+            DebugLogger.log(`Python runtime snapshot failed: ${message}`);
+            this.release(worker);
+            return;
+        }
+        this.snapshot = snapshot;
+        this.maker = null;
+        DebugLogger.log(`Python runtime snapshot ready (${(snapshot.byteLength / 1048576).toFixed(1)} MB)`);
+        this.settleWaiters({ snapshot });
+    },
+
+    /**
+     * Stop handing out a snapshot a worker could not restore
+     * @param {string} message - Why restoring it failed
+     */
+    discard(message) {
+        if (!this.snapshot) {
+            return;
+        }
+        this.snapshot = null;
+        this.failed = true;
+        DebugLogger.log(`Python runtime snapshot dropped, ${message}; workers start without it`);
+    },
+
+    /**
+     * A worker stopped or failed; if it was taking the snapshot, the workers
+     * waiting for it start on their own
+     * @param {Worker} worker
+     */
+    release(worker) {
+        if (!worker || worker !== this.maker) {
+            return;
+        }
+        this.maker = null;
+        this.settleWaiters({});
+    },
+
+    settleWaiters(runtime) {
+        const waiters = this._waiters;
+        this._waiters = [];
+        waiters.forEach((resolve) => resolve(runtime));
+    }
+};
+
+export default PyodideRuntime;
@@ -0,0 +1,335 @@
+/**
+ * Pyodide Test Runner
+ * Finds test_* functions and unittest.TestCase classes in a project file, runs
+ * them in the output worker and reports each test as structured data
+ */
+
+import { installHelperModule } from './pyodide-fs.js';
+
+const TESTS_MODULE = `
+"""Run the tests of one Python Editor file and describe every outcome."""
+import ast
+import difflib
+import inspect
+import io
+import pprint
+import sys
+import time
+import traceback
+import types
+import unittest
+
+# Longer diffs are cut; the full values are in the assertion message
+DIFF_LIMIT = 200
+
+OPERATORS = {
+    ast.Eq: "==", ast.NotEq: "!=", ast.Lt: "<", ast.LtE: "<=", ast.Gt: ">", ast.GtE: ">=",
+    ast.Is: "is", ast.IsNot: "is not", ast.In: "in", ast.NotIn: "not in",
+}
+
+
+def safe_repr(value):
+    try:
+        return repr(value)
+    except Exception as e:
+        return f"<repr failed: {type(e).__name__}>"
+
+
+def exit_message(exc):
+    """Describe a SystemExit like the exit line of a run."""
+    code = 0 if exc.code is None else exc.code
+    if isinstance(code, int):
+        return f"SystemExit: exited with code {code}"
+    # sys.exit("text") prints the text and exits with 1
+    return f"SystemExit: {code} (exit code 1)"
+
+
+def comparison_diff(left, right):
+    """ndiff lines of two unequal values, or "" when a diff would not help."""
+    if isinstance(left, str) and isinstance(right, str):
+        a, b = left.splitlines() or [left], right.splitlines() or [right]
+    elif type(left) is type(right) and isinstance(left, (list, tuple, dict, set, frozenset)):
+        a = pprint.pformat(left, width=60).splitlines()
+        b = pprint.pformat(right, width=60).splitlines()
+    else:
+        return ""
+    lines = [line.rstrip("\\n") for line in difflib.ndiff(a, b)]
+    if len(lines) > DIFF_LIMIT:
+        lines = lines[:DIFF_LIMIT] + [f"... {len(lines) - DIFF_LIMIT} more lines"]
+    return "\\n".join(lines)
+
+
+class ComparisonFailure(AssertionError):
+    """Raised by rewritten asserts; keeps both sides of the comparison."""
+
+    # Tracebacks name it like the assert it replaces
+    __module__ = "builtins"
+    __qualname__ = "AssertionError"
+
+    def __init__(self, op, left, right, msg=None):
+        text = f"assert {safe_repr(left)} {op} {safe_repr(right)}"
+        if msg is not None:
+            text = f"{msg}\\n{text}"
+        super().__init__(text)
+        self.diff = comparison_diff(left, right) if op == "==" else ""
+
+
+class AssertionRewriter(ast.NodeTransformer):
+    """Evaluate each side of "assert left OP right" once and keep it for the report, as pytest does."""
+
+    def __init__(self):
+        self.count = 0
+
+    def visit_Assert(self, node):
+        test = node.test
+        if not (isinstance(test, ast.Compare) and len(test.ops) == 1 and type(test.ops[0]) in OPERATORS):
+            return node
+        self.count += 1
+        left = f"_playground_left_{self.count}"
+        right = f"_playground_right_{self.count}"
+        failure = ast.Call(
+            func=ast.Name("_playground_failure", ast.Load()),
+            args=[
+                ast.Constant(OPERATORS[type(test.ops[0])]),
+                ast.Name(left, ast.Load()),
+                ast.Name(right, ast.Load()),
+                node.msg or ast.Constant(None),
+            ],
+            keywords=[],
+        )
+        statements = [
+            ast.Assign([ast.Name(left, ast.Store())], test.left),
+            ast.Assign([ast.Name(right, ast.Store())], test.comparators[0]),
+            ast.If(
+                test=ast.UnaryOp(ast.Not(), ast.Compare(
+                    ast.Name(left, ast.Load()), test.ops, [ast.Name(right, ast.Load())])),
+                body=[ast.Raise(exc=failure, cause=None)],
+                orelse=[],
+            ),
+        ]
+        for statement in statements:
+            ast.copy_location(statement, node)
+        return statements
+
+
+def load_module(path, name):
+    with open(path, encoding="utf-8") as f:
+        source = f.read()
+    tree = AssertionRewriter().visit(ast.parse(source, path))
+    ast.fix_missing_locations(tree)
+    code = compile(tree, path, "exec")
+    module = types.ModuleType(name)
+    module.__file__ = path
+    module._playground_failure = ComparisonFailure
+    sys.modules[name] = module
+    exec(code, module.__dict__)
+    return module
+
+
+def failure_line(tb, path):
+    """Innermost line of the tested file in a traceback."""
+    line = None
+    for frame, lineno in traceback.walk_tb(tb):
+        if frame.f_code.co_filename == path:
+            line = lineno
+    return line
+
+
+def format_traceback(exc, path):
+    """The traceback from the first frame in the tested file."""
+    names = [frame.f_code.co_filename for frame, _ in traceback.walk_tb(exc.__traceback__)]
+    keep = len(names) - names.index(path) if path in names else 0
+    return "".join(traceback.format_exception(type(exc), exc, exc.__traceback__, -keep if keep else None))
+
+
+def split_message(text):
+    """Separate unittest's diff from the first lines of its message."""
+    head, _, rest = text.partition("\\n\\n")
+    if any(line.startswith(("- ", "+ ")) for line in rest.splitlines()):
+        return head, rest.strip("\\n")
+    return text, ""
+
+
+class Report:
+    def __init__(self, path):
+        self.path = path
+        self.tests = []
+
+    def add(self, name, group, line, outcome, started, output, exc=None, message="", tb_text=None):
+        record = {
+            "name": name,
+            "group": group,
+            "line": line,
+            "outcome": outcome,
+            "message": message,
+            "diff": "",
+            "traceback": "",
+            "failureLine": None,
+            "durationMs": (time.perf_counter() - started) * 1000,
+            "output": output,
+        }
+        if exc is not None:
+            record["message"] = str(exc) or type(exc).__name__
+            if isinstance(exc, SystemExit):
+                record["message"] = exit_message(exc)
+            elif not isinstance(exc, AssertionError):
+                record["message"] = f"{type(exc).__name__}: {exc}"
+            record["diff"] = getattr(exc, "diff", "")
+            record["traceback"] = tb_text if tb_text is not None else format_traceback(exc, self.path)
+            record["failureLine"] = failure_line(exc.__traceback__, self.path)
+        if tb_text is not None and not record["diff"]:
+            record["message"], record["diff"] = split_message(record["message"])
+        self.tests.append(record)
+
+
+class Capture:
+    """Collect what one test prints, for its node in the report."""
+
+    def __enter__(self):
+        self.saved = sys.stdout, sys.stderr
+        sys.stdout = sys.stderr = self.buffer = io.StringIO()
+        return self
+
+    def __exit__(self, *exc):
+        sys.stdout, sys.stderr = self.saved
+
+    @property
+    def text(self):
+        return self.buffer.getvalue()
+
+
+def run_function(report, name, function):
+    line = function.__code__.co_firstlineno
+    started = time.perf_counter()
+    parameters = [
+        p.name for p in inspect.signature(function).parameters.values()
+        if p.default is inspect.Parameter.empty and p.kind in (p.POSITIONAL_ONLY, p.POSITIONAL_OR_KEYWORD)
+    ]
+    if parameters:
+        report.add(name, None, line, "error", started, "",
+                   message=f"Fixtures are not supported: {', '.join(parameters)}")
+        return
+    if inspect.iscoroutinefunction(function):
+        report.add(name, None, line, "error", started, "", message="Async tests are not supported")
+        return
+
+    capture = Capture()
+    try:
+        with capture:
+            function()
+    except unittest.SkipTest as e:
+        report.add(name, None, line, "skipped", started, capture.text, message=str(e))
+    except (AssertionError, SystemExit) as e:
+        report.add(name, None, line, "failed", started, capture.text, exc=e)
+    except Exception as e:
+        report.add(name, None, line, "error", started, capture.text, exc=e)
+    else:
+        report.add(name, None, line, "passed", started, capture.text)
+
+
+class CaseResult(unittest.TestResult):
+    """Hands every TestCase outcome to the report."""
+
+    def __init__(self, report):
+        super().__init__()
+        self.report = report
+        self.capture = None
+        self.started = 0
+
+    def startTest(self, test):
+        super().startTest(test)
+        self.started = time.perf_counter()
+        self.capture = Capture().__enter__()
+
+    def stopTest(self, test):
+        if self.capture:
+            self.capture.__exit__()
+            self.capture = None
+        super().stopTest(test)
+
+    def record(self, test, outcome, err=None, message=""):
+        is_subtest = isinstance(test, unittest.case._SubTest)
+        case = test.test_case if is_subtest else test
+        # setUpClass and module fixture errors come as placeholders without a method
+        method = getattr(case, "_testMethodName", None) if isinstance(case, unittest.TestCase) else None
+        group = type(case).__name__ if method else None
+        name = method or str(test)
+        if is_subtest:
+            name = f"{method} {test._subDescription()}"
+        function = getattr(type(case), method, None) if method else None
+        line = function.__code__.co_firstlineno if isinstance(function, types.FunctionType) else None
+        output = self.capture.text if self.capture else ""
+        exc = err[1] if err else None
+        tb_text = self._exc_info_to_string(err, test) if err else None
+        self.report.add(name, group, line, outcome, self.started, output,
+                        exc=exc, message=message, tb_text=tb_text)
+
+    def addSuccess(self, test):
+        super().addSuccess(test)
+        self.record(test, "passed")
+
+    def addFailure(self, test, err):
+        super().addFailure(test, err)
+        self.record(test, "failed", err)
+
+    def addError(self, test, err):
+        super().addError(test, err)
+        # unittest reports sys.exit() in a test as an error; a test function fails with it
+        self.record(test, "failed" if issubclass(err[0], SystemExit) else "error", err)
+
+    def addSkip(self, test, reason):
+        super().addSkip(test, reason)
+        self.record(test, "skipped", message=reason)
+
+    def addExpectedFailure(self, test, err):
+        super().addExpectedFailure(test, err)
+        self.record(test, "skipped", message="expected failure")
+
+    def addUnexpectedSuccess(self, test):
+        super().addUnexpectedSuccess(test)
+        self.record(test, "failed", message="unexpected success")
+
+    def addSubTest(self, test, subtest, err):
+        super().addSubTest(test, subtest, err)
+        if err is not None:
+            self.record(subtest, "failed" if issubclass(err[0], test.failureException) else "error", err)
+
+
+def run_tests(path, name):
+    """Import path as module name and run its tests, in definition order.
+
+    Returns {"tests": [...], "error": "", "interrupted": bool}; error holds the
+    traceback when the module itself fails to import or exits while importing.
+    A KeyboardInterrupt stops the run and keeps the tests that already ran.
+    """
+    report = Report(path)
+    try:
+        module = load_module(path, name)
+    except SyntaxError as e:
+        return {"tests": [], "error": "".join(traceback.format_exception_only(type(e), e)), "interrupted": False}
+    except (Exception, SystemExit) as e:
+        return {"tests": [], "error": format_traceback(e, path), "interrupted": False}
+    except KeyboardInterrupt:
+        return {"tests": [], "error": "", "interrupted": True}
+
+    loader = unittest.TestLoader()
+    interrupted = False
+    try:
+        for attr, value in list(vars(module).items()):
+            if isinstance(value, types.FunctionType) and attr.startswith("test_") and value.__module__ == name:
+                run_function(report, attr, value)
+            elif isinstance(value, type) and issubclass(value, unittest.TestCase) and value.__module__ == name:
+                loader.loadTestsFromTestCase(value).run(CaseResult(report))
+    except KeyboardInterrupt:
+        # Keep what already ran; the remaining tests are left out
+        interrupted = True
+    return {"tests": report.tests, "error": "", "interrupted": interrupted}
+`;
+
+/**
+ * Install the test runner module; the output worker imports run_tests from it
+ * @param {Object} pyodide - Pyodide instance
+ */
+export function installTestRunner(pyodide) {
+    installHelperModule(pyodide, 'playground_tests', TESTS_MODULE);
+}
@@ -0,0 +1,145 @@
+/**
+ * Pyodide Variables
+ * Describes the Python Console's namespace for the Variables window:
+ * names, types, sizes and short reprs, with containers expanded on request
+ */
+
+import { installHelperModule } from './pyodide-fs.js';
+
+const VARIABLES_MODULE = `
+"""Inspect the variables the user defined in the Python Console."""
+import itertools
+import reprlib
+import types
+
+# Expanded containers list this many children, then a summary row
+CHILD_LIMIT = 100
+# Copied reprs are cut here so a huge value cannot freeze the page
+COPY_LIMIT = 1_000_000
+
+_repr = reprlib.Repr()
+_repr.maxstring = 80
+_repr.maxother = 80
+_repr.maxlevel = 2
+
+ATOMS = (str, bytes, bytearray, int, float, complex, bool, type(None), range)
+OPAQUE = (types.ModuleType, types.FunctionType, types.BuiltinFunctionType, types.MethodType, type)
+
+
+def short_repr(value):
+    try:
+        return _repr.repr(value)
+    except Exception as e:
+        return f"<repr failed: {type(e).__name__}>"
+
+
+def size(value):
+    """Shape of an array-like, length of a sized value, or ""."""
+    shape = getattr(value, "shape", None) if not isinstance(value, type) else None
+    if isinstance(shape, tuple) and all(isinstance(n, int) for n in shape):
+        return " × ".join(map(str, shape)) if shape else "scalar"
+    if isinstance(value, type) or not hasattr(value, "__len__"):
+        return ""
+    try:
+        return f"len {len(value)}"
+    except Exception:
+        return ""
+
+
+def entries(value):
+    """(label, child) pairs shown when a value is expanded and their count, or None."""
+    if isinstance(value, ATOMS) or isinstance(value, OPAQUE):
+        return None
+    if isinstance(value, dict):
+        return ((short_repr(key), item) for key, item in value.items()), len(value)
+    if isinstance(value, (list, tuple)):
+        return ((f"[{index}]", item) for index, item in enumerate(value)), len(value)
+    if isinstance(value, (set, frozenset)):
+        return (("·", item) for item in value), len(value)
+    # Arrays and frames summarize themselves better than their attributes do
+    if hasattr(value, "shape"):
+        return None
+    attributes = getattr(value, "__dict__", None)
+    if isinstance(attributes, dict):
+        return ((f".{name}", item) for name, item in attributes.items()), len(attributes)
+    return None
+
+
+def describe(name, value):
+    found = entries(value)
+    return {
+        "name": name,
+        "type": type(value).__name__,
+        "size": size(value),
+        "repr": short_repr(value),
+        "expandable": bool(found and found[1]),
+    }
+
+
+class Inspector:
+    """The names in namespace that were not there when the console started."""
+
+    def __init__(self, namespace):
+        self.namespace = namespace
+        self.hidden = set(namespace)
+
+    def names(self):
+        return [
+            name for name, value in list(self.namespace.items())
+            if name not in self.hidden
+            and not (name.startswith("__") and name.endswith("__"))
+            and not isinstance(value, types.ModuleType)
+        ]
+
+    def list(self):
+        return [describe(name, self.namespace[name]) for name in sorted(self.names(), key=str.lower)]
+
+    def resolve(self, path):
+        """path is a name followed by child positions, as listed by children()."""
+        value = self.namespace[path[0]]
+        for position in path[1:]:
+            found = entries(value)
+            child = next(itertools.islice(found[0], position, None), None) if found else None
+            if child is None:
+                raise KeyError("The value changed since it was listed")
+            value = child[1]
+        return value
+
+    def children(self, path):
+        try:
+            found = entries(self.resolve(path))
+        except Exception:
+            return []
+        if not found:
+            return []
+        items, count = found
+        listed = [describe(label, item) for label, item in itertools.islice(items, CHILD_LIMIT)]
+        if count > CHILD_LIMIT:
+            listed.append({"name": "...", "type": "", "size": "", "repr": f"{count - CHILD_LIMIT} more", "expandable": False})
+        return listed
+
+    def delete(self, name):
+        if name in self.names():
+            del self.namespace[name]
+
+    def full_repr(self, path):
+        try:
+            text = repr(self.resolve(path))
+        except Exception as e:
+            return f"<repr failed: {type(e).__name__}: {e}>"
+        return text if len(text) <= COPY_LIMIT else text[:COPY_LIMIT] + "..."
+`;
+
+/**
+ * Install the variables module and inspect a console namespace with it
+ * @param {Object} pyodide - Pyodide instance
+ * @param {Object} namespace - The console's globals
+ * @returns {Object} Inspector PyProxy
+ */
+export function installVariableInspector(pyodide, namespace) {
+    installHelperModule(pyodide, 'playground_variables', VARIABLES_MODULE);
+    const module = pyodide.pyimport('playground_variables');
+    const inspector = module.Inspector(namespace);
+    module.destroy();
+    return inspector;
+}
@@ -3,54 +3,196 @@
  * Loads and runs Pyodide in a separate thread
  */
 
-import { MessageType, StatusMessage, createStatusMessage, createReadyMessage, createErrorMessage, createDoneMessage } from '../worker-messages.js';
+import { MessageType, createStatusMessage, createReadyMessage, createErrorMessage, createDoneMessage, createStreamMessage, createInputRequestMessage } from '../worker-messages.js';
+import SyncChannel, { ChannelState } from '../sync-channel.js';
+import { startPyodide } from './pyodide-loader.js';
+import { loadPackagesForSource } from './pyodide-packages.js';
+import { PROJECT_DIR, mountHome, loadHome, saveHome, syncProjectFiles } from './pyodide-fs.js';
+import { installVariableInspector } from './pyodide-variables.js';
 
 let pyodide = null;
 let pyconsole = null;
 let awaitFut = null;
 let reprShorten = null;
+let richBundle = null;
+let runSource = null;
+let inspector = null;
+let stdinChannel = null;
+let statementLines = [];
 
-// Load Pyodide
-async function loadPyodideInstance() {
-    const indexURL = 'https://cdn.jsdelivr.net/pyodide/v0.27.5/full/';
+// Block the paused Python frame until the terminal answers
+function readStdin() {
+    if (!stdinChannel) {
+        self.postMessage(createStreamMessage('stderr', 'input() needs a cross-origin isolated page in the Python Console\n'));
+        return null;
+    }
+    stdinChannel.prepare();
+    self.postMessage(createInputRequestMessage());
+    const { state, text } = stdinChannel.wait();
+    if (state === ChannelState.INTERRUPTED) {
+        // Raises KeyboardInterrupt in the frame blocked on input()
+        pyodide.checkInterrupt();
+    }
+    return state === ChannelState.READY ? text : null;
+}
 
-    try {
-        self.postMessage(createStatusMessage(StatusMessage.FETCHING_PYODIDE));
+// Echo a statement's result, with its rich reprs when it has any
+function postResult(value) {
+    if (value !== undefined) {
+        const output = reprShorten.callKwargs(value, {
+            separator: '\n<long output truncated>\n',
+        });
+        // Primitives arrive converted to JS and have no rich reprs
+        const rich = value && typeof value.destroy === 'function' ? richBundle(value) : null;
+        self.postMessage({
+            type: MessageType.OUTPUT,
+            message: output,
+            rich: rich && Object.keys(rich).length ? rich : null
+        });
+    }
+    if (value && typeof value.destroy === 'function') {
+        value.destroy();
+    }
+}
 
-        const { loadPyodide } = await import(indexURL + 'pyodide.mjs');
+/**
+ * Convert an inspector result and free the proxy
+ * @param {Object} result - PyProxy of a list or dict
+ * @returns {*}
+ */
+function fromPython(result) {
+    const value = result.toJs({ dict_converter: Object.fromEntries });
+    result.destroy();
+    return value;
+}
 
-        self.postMessage(createStatusMessage(StatusMessage.INITIALIZING));
+// Load Pyodide
+async function loadPyodideInstance(options = {}) {
+    try {
+        stdinChannel = options.stdinBuffer ? new SyncChannel(options.stdinBuffer) : null;
 
-        pyodide = await loadPyodide({
-            indexURL: indexURL,
-            stdin: () => {
-                // We can't use prompt() in a worker, so we'll handle this differently
-                return '';
-            }
+        pyodide = await startPyodide(options, {
+            stdin: readStdin
         });
+        if (options.interruptBuffer) {
+            pyodide.setInterruptBuffer(options.interruptBuffer);
+        }
+        await mountHome(pyodide);
 
         // Import console utilities
         const consoleModule = pyodide.pyimport('pyodide.console');
         reprShorten = consoleModule.repr_shorten;
         const BANNER = `Welcome to Pyodide ${pyodide.version} terminal emulator 🐍\n` +
             consoleModule.BANNER;
-        pyconsole = consoleModule.PyodideConsole(pyodide.globals);
 
-        // Setup await_fut helper
+        // Setup console and await_fut helpers. The filename keeps these frames
+        // out of the tracebacks PyodideConsole formats.
         const namespace = pyodide.globals.get('dict')();
-        awaitFut = pyodide.runPython(`
+        pyodide.runPython(`
+import base64
 import builtins
+import js
+import sys
+import textwrap
+import traceback
+from pyodide.code import eval_code_async
+from pyodide.console import PyodideConsole
 from pyodide.ffi import to_js
 
+RICH_REPRS = (
+    ("text/html", "_repr_html_"),
+    ("image/svg+xml", "_repr_svg_"),
+    ("image/png", "_repr_png_"),
+    ("image/jpeg", "_repr_jpeg_"),
+    ("text/markdown", "_repr_markdown_"),
+)
+
+
+class ConsoleInterrupt(Exception):
+    """KeyboardInterrupt escapes asyncio tasks, so carry it as a regular error."""
+
+
+class ReplConsole(PyodideConsole):
+    async def runcode(self, source, code):
+        try:
+            return await super().runcode(source, code)
+        except KeyboardInterrupt as e:
+            raise ConsoleInterrupt() from e
+
+    def formattraceback(self, e):
+        if isinstance(e, ConsoleInterrupt) and e.__cause__ is not None:
+            e = e.__cause__
+        return super().formattraceback(e)
+
+
+def rich_bundle(value):
+    """Collect the rich reprs a result defines; image bytes become base64."""
+    bundle = {}
+    # Classes expose the reprs as unbound functions
+    reprs = () if isinstance(value, type) else RICH_REPRS
+    for mime, name in reprs:
+        try:
+            method = getattr(value, name, None)
+            data = method() if callable(method) else None
+        except Exception:
+            continue
+        # IPython allows (data, metadata) pairs
+        if isinstance(data, tuple) and data:
+            data = data[0]
+        if isinstance(data, (bytes, bytearray)):
+            data = base64.b64encode(data).decode("ascii")
+        if isinstance(data, str):
+            bundle[mime] = data
+    # sympy only defines LaTeX reprs, which the console cannot typeset
+    if not bundle and type(value).__module__.startswith("sympy."):
+        try:
+            from sympy import pretty
+            bundle["text/x-pretty"] = pretty(value)
+        except Exception:
+            pass
+    return to_js(bundle, dict_converter=js.Object.fromEntries)
+
+
 async def await_fut(fut):
     res = await fut
     if res is not None:
         builtins._ = res
     return to_js([res], depth=1)
 
-await_fut
-        `, { globals: namespace });
+
+def format_source_traceback(e, filename):
+    """Format e from the first frame in the editor code, like the console does for its own."""
+    names = [frame.f_code.co_filename for frame, _ in traceback.walk_tb(e.__traceback__)]
+    keep = len(names) - names.index(filename) if filename in names else 0
+    return "".join(traceback.format_exception(type(e), e, e.__traceback__, -keep))
+
+
+async def run_source(console, source, filename):
+    """Run editor code in the console globals; the last expression is the result."""
+    try:
+        with console.redirect_streams():
+            try:
+                res = await eval_code_async(textwrap.dedent(source), console.globals, filename=filename)
+            finally:
+                sys.stdout.flush()
+                sys.stderr.flush()
+    except BaseException as e:
+        return to_js([None, format_source_traceback(e, filename)], depth=1)
+    if res is not None:
+        builtins._ = res
+    return to_js([res, None], depth=1)
+        `, { globals: namespace, filename: '<repl-setup>' });
+        awaitFut = namespace.get('await_fut');
+        runSource = namespace.get('run_source');
+        richBundle = namespace.get('rich_bundle');
+        const ReplConsole = namespace.get('ReplConsole');
+        pyconsole = ReplConsole.callKwargs(pyodide.globals, {
+            stdout_callback: (text) => self.postMessage(createStreamMessage('stdout', text)),
+            stderr_callback: (text) => self.postMessage(createStreamMessage('stderr', text))
+        });
+        ReplConsole.destroy();
         namespace.destroy();
+        inspector = installVariableInspector(pyodide, pyconsole.globals);
 
         self.postMessage(createReadyMessage({ banner: BANNER }));
     } catch (error) {
@@ -64,7 +206,7 @@ self.onmessage = async function (e) {
 
     switch (type) {
         case MessageType.INIT:
-            await loadPyodideInstance();
+            await loadPyodideInstance(data);
             break;
 
         case 'execute':
@@ -76,10 +218,18 @@ self.onmessage = async function (e) {
             try {
                 const { command } = data;
                 const lines = command.split('\n');
+                let interrupted = false;
+
+                // Pick up files the Python Editor's runs saved
+                await loadHome(pyodide);
 
                 for (const line of lines) {
                     const escaped = line.replace(/\u00a0/g, ' ');
+
+                    // Load packages before the statement is compiled and scheduled
+                    await loadPackagesForSource(pyodide, [...statementLines, escaped].join('\n'));
                     const fut = pyconsole.push(escaped);
+                    statementLines = fut.syntax_check === 'incomplete' ? [...statementLines, escaped] : [];
 
                     self.postMessage({
                         type: MessageType.PROMPT,
@@ -105,22 +255,14 @@ self.onmessage = async function (e) {
 
                     try {
                         const [value] = await wrapped;
-                        if (value !== undefined) {
-                            const output = reprShorten.callKwargs(value, {
-                                separator: '\n<long output truncated>\n',
-                            });
-                            self.postMessage({
-                                type: MessageType.OUTPUT,
-                                message: output
-                            });
-                        }
-                        if (value && typeof value.destroy === 'function') {
-                            value.destroy();
-                        }
+                        postResult(value);
                     } catch (e) {
                         if (e.constructor.name === 'PythonError') {
                             const message = fut.formatted_error || e.message;
                             self.postMessage(createErrorMessage(message.trimEnd()));
+                            if (e.type === 'ConsoleInterrupt') {
+                                interrupted = true;
+                            }
                         } else {
                             throw e;
                         }
@@ -128,12 +270,58 @@ self.onmessage = async function (e) {
                         fut.destroy();
                         wrapped.destroy();
                     }
+
+                    // Ctrl+C drops the rest of a pasted block, like CPython
+                    if (interrupted) {
+                        statementLines = [];
+                        pyconsole.buffer.clear();
+                        self.postMessage({ type: MessageType.PROMPT, prompt: '>>> ' });
+                        break;
+                    }
                 }
 
+                await saveHome(pyodide);
                 self.postMessage(createDoneMessage());
+            } catch (error) {
+                self.postMessage(createErrorMessage(error.message));
+                await saveHome(pyodide);
+                self.postMessage(createDoneMessage());
+            }
+            break;
+
+        case MessageType.RUN_SOURCE:
+            if (!pyodide || !pyconsole) {
+                self.postMessage(createErrorMessage('Pyodide not initialized'));
+                return;
+            }
+
+            try {
+                const { source, file, firstLine = 1, files } = data;
+                await loadHome(pyodide);
+                if (files) {
+                    syncProjectFiles(pyodide, files);
+                }
+                await loadPackagesForSource(pyodide, source);
+
+                // Pad to the original line so tracebacks point into the editor file
+                const padded = '\n'.repeat(Math.max(0, firstLine - 1)) + source;
+                const filename = file ? `${PROJECT_DIR}/${file}` : '<editor>';
+                const wrapped = runSource(pyconsole, padded, filename);
+                try {
+                    const [value, error] = await wrapped;
+                    if (error) {
+                        self.postMessage(createErrorMessage(error.trimEnd()));
+                    } else {
+                        postResult(value);
+                    }
+                } finally {
+                    wrapped.destroy();
+                }
             } catch (error) {
                 self.postMessage(createErrorMessage(error.message));
             }
+            await saveHome(pyodide);
+            self.postMessage(createDoneMessage());
             break;
 
         case MessageType.COMPLETE:
@@ -160,7 +348,68 @@ self.onmessage = async function (e) {
             }
             break;
 
+        case MessageType.INSPECT: {
+            // path is null for the top-level names, else a name and child positions
+            const { id, path } = data;
+            let variables = [];
+            if (inspector) {
+                let pyPath = null;
+                try {
+                    if (path) {
+                        pyPath = pyodide.toPy(path);
+                        variables = fromPython(inspector.children(pyPath));
+                    } else {
+                        variables = fromPython(inspector.list());
+                    }
+                } catch (error) {
+                    self.postMessage(createStatusMessage(`Inspect error: ${error.message}`));
+                } finally {
+                    if (pyPath) {
+                        pyPath.destroy();
+                    }
+                }
+            }
+            self.postMessage({ type: MessageType.VARIABLES, id, variables });
+            break;
+        }
+
+        case MessageType.DELETE_VARIABLE: {
+            const { id, name } = data;
+            let variables = [];
+            if (inspector) {
+                try {
+                    inspector.delete(name);
+                    variables = fromPython(inspector.list());
+                } catch (error) {
+                    self.postMessage(createStatusMessage(`Inspect error: ${error.message}`));
+                }
+            }
+            self.postMessage({ type: MessageType.VARIABLES, id, variables });
+            break;
+        }
+
+        case MessageType.COPY_VARIABLE: {
+            const { id, path } = data;
+            let text = '';
+            if (inspector) {
+                let pyPath = null;
+                try {
+                    pyPath = pyodide.toPy(path);
+                    text = inspector.full_repr(pyPath);
+                } catch (error) {
+                    self.postMessage(createStatusMessage(`Inspect error: ${error.message}`));
+                } finally {
+                    if (pyPath) {
+                        pyPath.destroy();
+                    }
+                }
+            }
+            self.postMessage({ type: MessageType.VARIABLE_REPR, id, text });
+            break;
+        }
+
         case 'interrupt':
+            statementLines = [];
             if (pyconsole && pyconsole.buffer) {
                 pyconsole.buffer.clear();
                 self.postMessage({
@@ -0,0 +1,173 @@
+/**
+ * Python Analysis - Lint, completions and hover help for the Python Editor,
+ * computed in a dedicated Pyodide worker
+ * The worker starts on the first request and never runs user code
+ */
+
+import DebugLogger from '../debug-logger.js';
+import { getPageOverride } from './pyodide-config.js';
+import PyodideRuntime from './pyodide-runtime.js';
+
+const PythonAnalysis = {
+    worker: null,
+    isReady: false,
+    _readyPromise: null,
+    _nextId: 1,
+    _pending: null,
+
+    /**
+     * Start the analysis worker
+     * @returns {Promise<void>} Resolves once the checker is loaded
+     */
+    init() {
+        if (this._readyPromise) {
+            return this._readyPromise;
+        }
+        this._pending = new Map();
+        DebugLogger.updateAnalysisWorkerStatus('Creating worker...');
+
+        this._readyPromise = new Promise((resolve, reject) => {
+            this.worker = new Worker(new URL('./pyodide-analysis-worker.js', import.meta.url), { type: 'module' });
+
+            this.worker.onmessage = (e) => {
+                const { type, message, id, diagnostics, completions, info, snapshot } = e.data;
+
+                switch (type) {
+                    case 'status':
+                        DebugLogger.updateAnalysisWorkerStatus(message);
+                        break;
+
+                    case 'ready':
+                        this.isReady = true;
+                        DebugLogger.updateAnalysisWorkerStatus('Ready');
+                        resolve();
+                        break;
+
+                    case 'snapshot':
+                        PyodideRuntime.provide(this.worker, snapshot, message);
+                        break;
+
+                    case 'diagnostics':
+                        this.settle(id, diagnostics || []);
+                        break;
+
+                    case 'completions':
+                        this.settle(id, completions || []);
+                        break;
+
+                    case 'hover_info':
+                        this.settle(id, info || null);
+                        break;
+
+                    case 'error':
+                        DebugLogger.updateAnalysisWorkerStatus(`Error: ${message}`);
+                        reject(new Error(message));
+                        this.terminateWorker();
+                        break;
+                }
+            };
+
+            this.worker.onerror = (error) => {
+                DebugLogger.updateAnalysisWorkerStatus(`Error: ${error.message}`);
+                reject(error);
+                this.terminateWorker();
+            };
+
+            PyodideRuntime.start(this.worker, { source: getPageOverride() });
+        });
+        return this._readyPromise;
+    },
+
+    /**
+     * Check a Python source
+     * @param {string} source - File contents
+     * @param {string} file - File name, used in messages
+     * @returns {Promise<Array<Object>>} Diagnostics with 1-based line and column
+     *   ranges, a message and a severity of 'error' or 'warning'
+     */
+    lint(source, file) {
+        return this.request('lint', { source, file }, []);
+    },
+
+    /**
+     * Complete at a position, using sibling project files for imports
+     * @param {Object} query - Buffer and position
+     * @param {string} query.source - File contents
+     * @param {string} query.file - File name
+     * @param {number} query.line - 1-based line
+     * @param {number} query.column - 0-based column
+     * @param {Array<{name: string, content: string}>} [query.files] - Project files
+     * @returns {Promise<Array<{name: string, type: string, module: string}>>}
+     */
+    complete(query) {
+        return this.request('complete', query, []);
+    },
+
+    /**
+     * Signatures and docstring of the name at a position
+     * @param {Object} query - Same shape as for complete()
+     * @returns {Promise<Object|null>} {name, type, signatures, doc}, or null
+     */
+    hover(query) {
+        return this.request('hover', query, null);
+    },
+
+    /**
+     * Send a request tagged with an id and wait for the matching reply
+     * @param {string} type - Message type
+     * @param {Object} data - Request data
+     * @param {*} fallback - Result when the worker stops first
+     * @returns {Promise<*>}
+     */
+    async request(type, data, fallback) {
+        await this.init();
+        if (!this.worker) {
+            return fallback;
+        }
+        const id = this._nextId++;
+        return new Promise((resolve) => {
+            this._pending.set(id, { resolve, fallback });
+            this.worker.postMessage({ type, data: { ...data, id } });
+        });
+    },
+
+    settle(id, value) {
+        if (this._pending && this._pending.has(id)) {
+            this._pending.get(id).resolve(value);
+            this._pending.delete(id);
+        }
+    },
+
+    /**
+     * Stop the worker; pending requests resolve with empty results.
+     * After a failed start, later requests keep failing instead of
+     * reloading Pyodide on every keystroke.
+     */
+    terminateWorker() {
+        if (this.worker) {
+            PyodideRuntime.release(this.worker);
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this._pending) {
+            for (const { resolve, fallback } of this._pending.values()) {
+                resolve(fallback);
+            }
+            this._pending = null;
+        }
+        this.isReady = false;
+    },
+
+    /**
+     * Stop the worker and allow a fresh start
+     */
+    destroy() {
+        this.terminateWorker();
+        if (this._readyPromise) {
+            DebugLogger.updateAnalysisWorkerStatus('Not initialized');
+        }
+        this._readyPromise = null;
+    }
+};
+
+export default PythonAnalysis;
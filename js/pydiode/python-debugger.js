@@ -0,0 +1,323 @@
+/**
+ * Python Debugger - Window with step controls, the call stack and the variables
+ * of a paused debug run from the Python Editor
+ */
+
+import WindowManager from '../window-manager.js';
+import KeyBindings from '../keybindings.js';
+
+// Toolbar buttons, in order; command is what the worker's debugger receives
+const CONTROLS = [
+    { command: 'continue', label: 'Continue', keys: ['F5'], title: 'Run to the next breakpoint (F5)' },
+    { command: 'over', label: 'Step Over', keys: ['F10'], title: 'Run the current line (F10)' },
+    { command: 'into', label: 'Step Into', keys: ['F11'], title: 'Stop in the function the current line calls (F11)' },
+    { command: 'out', label: 'Step Out', keys: ['Shift+F11'], title: 'Run until the current function returns (Shift+F11)' }
+];
+
+const PythonDebugger = {
+    debuggerWindow: null,
+    statusEl: null,
+    stackEl: null,
+    localsEl: null,
+    globalsEl: null,
+    buttons: null,
+    stopBtn: null,
+    keyBindings: null,
+    state: null,
+    selectedFrame: 0,
+    active: false,
+    _onCommand: null,
+    _onStop: null,
+    _onSelectFrame: null,
+
+    /**
+     * Connect the window to the run it controls
+     * @param {Object} hooks
+     * @param {Function} hooks.onCommand - Called with a command from CONTROLS to resume the run
+     * @param {Function} hooks.onStop - Stops the run
+     * @param {Function} [hooks.onSelectFrame] - Called with {file, line} of the frame picked in the call stack
+     */
+    setHooks(hooks = {}) {
+        this._onCommand = hooks.onCommand || null;
+        this._onStop = hooks.onStop || null;
+        this._onSelectFrame = hooks.onSelectFrame || null;
+    },
+
+    /**
+     * Show where a debug run paused
+     * @param {Object} state - {file, line, frames} from the worker, innermost frame first
+     */
+    show(state) {
+        this.ensureWindow();
+        this.active = true;
+        this.state = state;
+        this.selectedFrame = 0;
+        this.setStatus(`Paused at ${state.file}:${state.line}`);
+        this.render();
+    },
+
+    /**
+     * The run resumed after a command
+     */
+    setRunning() {
+        this.active = true;
+        this.state = null;
+        this.setStatus('Running...');
+        this.render();
+    },
+
+    /**
+     * The run ended or was stopped
+     */
+    finish() {
+        this.active = false;
+        this.state = null;
+        this.setStatus('Not running');
+        this.render();
+    },
+
+    /**
+     * Create or focus the debugger window
+     */
+    ensureWindow() {
+        if (this.debuggerWindow) {
+            WindowManager.focusWindow(this.debuggerWindow);
+            return;
+        }
+
+        this.debuggerWindow = WindowManager.createWindow({
+            title: 'Python Debugger',
+            width: 560,
+            height: 380,
+            onClose: () => {
+                // Nothing could resume a paused run without this window
+                if (this.active && this._onStop) {
+                    this._onStop();
+                }
+                this.destroy();
+            },
+            onReady: (container) => {
+                container.innerHTML = '';
+
+                const wrapper = document.createElement('div');
+                wrapper.className = 'output-wrapper';
+
+                const toolbar = document.createElement('div');
+                toolbar.className = 'output-toolbar';
+
+                const leftGroup = document.createElement('div');
+                leftGroup.className = 'output-toolbar-left';
+
+                this.buttons = new Map();
+                for (const control of CONTROLS) {
+                    const button = document.createElement('button');
+                    button.className = 'debugger-btn';
+                    button.textContent = control.label;
+                    button.title = control.title;
+                    button.addEventListener('click', () => this.send(control.command));
+                    leftGroup.appendChild(button);
+                    this.buttons.set(control.command, button);
+                }
+
+                const stopBtn = document.createElement('button');
+                stopBtn.className = 'debugger-btn';
+                stopBtn.textContent = 'Stop';
+                stopBtn.title = 'Stop the run (Shift+F5)';
+                stopBtn.addEventListener('click', () => this.stop());
+                leftGroup.appendChild(stopBtn);
+
+                const status = document.createElement('div');
+                status.className = 'output-status';
+
+                toolbar.appendChild(leftGroup);
+                toolbar.appendChild(status);
+
+                const body = document.createElement('div');
+                body.className = 'debugger-body';
+
+                const stackPane = document.createElement('div');
+                stackPane.className = 'debugger-pane debugger-stack-pane';
+                stackPane.appendChild(this.createHeading('Call Stack'));
+                const stack = document.createElement('ol');
+                stack.className = 'debugger-stack';
+                stackPane.appendChild(stack);
+
+                const variablesPane = document.createElement('div');
+                variablesPane.className = 'debugger-pane';
+                variablesPane.appendChild(this.createHeading('Locals'));
+                const locals = document.createElement('div');
+                variablesPane.appendChild(locals);
+                variablesPane.appendChild(this.createHeading('Globals'));
+                const globals = document.createElement('div');
+                variablesPane.appendChild(globals);
+
+                body.appendChild(stackPane);
+                body.appendChild(variablesPane);
+                wrapper.appendChild(toolbar);
+                wrapper.appendChild(body);
+                container.appendChild(wrapper);
+
+                this.statusEl = status;
+                this.stackEl = stack;
+                this.localsEl = locals;
+                this.globalsEl = globals;
+                this.stopBtn = stopBtn;
+
+                this.keyBindings = new KeyBindings(window);
+                for (const control of CONTROLS) {
+                    this.keyBindings.add({
+                        combo: control.keys,
+                        handler: () => this.send(control.command),
+                        when: () => this.state !== null
+                    });
+                }
+                this.keyBindings.add({
+                    combo: 'Shift+F5',
+                    handler: () => this.stop(),
+                    when: () => this.active
+                });
+            }
+        });
+    },
+
+    /**
+     * @param {string} text
+     * @returns {HTMLElement}
+     */
+    createHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'debugger-heading';
+        heading.textContent = text;
+        return heading;
+    },
+
+    /**
+     * Resume the paused run
+     * @param {string} command - One of the commands in CONTROLS
+     */
+    send(command) {
+        if (!this.state || !this._onCommand) {
+            return;
+        }
+        this._onCommand(command);
+    },
+
+    stop() {
+        if (this.active && this._onStop) {
+            this._onStop();
+        }
+    },
+
+    render() {
+        if (!this.stackEl) {
+            return;
+        }
+        for (const button of this.buttons.values()) {
+            button.disabled = !this.state;
+        }
+        this.stopBtn.disabled = !this.active;
+
+        this.stackEl.innerHTML = '';
+        const frames = this.state ? this.state.frames : [];
+        frames.forEach((frame, index) => {
+            const item = document.createElement('li');
+            item.className = 'debugger-frame';
+            item.classList.toggle('is-selected', index === this.selectedFrame);
+            item.textContent = `${frame.name}  ${frame.file}:${frame.line}`;
+            item.addEventListener('click', () => this.selectFrame(index));
+            this.stackEl.appendChild(item);
+        });
+
+        const frame = frames[this.selectedFrame];
+        this.renderVariables(this.localsEl, frame ? frame.locals : null, frame && frame.name === '<module>'
+            ? 'Module level; see Globals'
+            : 'No local variables');
+        this.renderVariables(this.globalsEl, frame ? frame.globals : null, 'No global variables');
+    },
+
+    /**
+     * Show the variables of another frame of the paused stack
+     * @param {number} index - 0 is the innermost frame
+     */
+    selectFrame(index) {
+        if (!this.state || !this.state.frames[index]) {
+            return;
+        }
+        this.selectedFrame = index;
+        this.render();
+        if (this._onSelectFrame) {
+            const { file, line } = this.state.frames[index];
+            this._onSelectFrame({ file, line });
+        }
+    },
+
+    /**
+     * @param {HTMLElement} container
+     * @param {Array<{name: string, type: string, value: string}>|null} variables - null while not paused
+     * @param {string} emptyText - Shown when a paused frame has none
+     */
+    renderVariables(container, variables, emptyText) {
+        container.innerHTML = '';
+        if (!variables || !variables.length) {
+            const empty = document.createElement('div');
+            empty.className = 'debugger-empty';
+            empty.textContent = variables ? emptyText : '';
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'debugger-variables';
+        for (const variable of variables) {
+            const row = table.insertRow();
+            const name = row.insertCell();
+            name.className = 'debugger-variable-name';
+            name.textContent = variable.name;
+            const type = row.insertCell();
+            type.className = 'debugger-variable-type';
+            type.textContent = variable.type;
+            const value = row.insertCell();
+            value.className = 'debugger-variable-value';
+            value.textContent = variable.value;
+            value.title = variable.value;
+        }
+        container.appendChild(table);
+    },
+
+    /**
+     * @param {string} status
+     */
+    setStatus(status) {
+        if (!this.statusEl) {
+            return;
+        }
+        this.statusEl.textContent = status;
+        this.statusEl.classList.remove('status-ready', 'status-running', 'status-not-ready');
+        if (status.startsWith('Paused')) {
+            this.statusEl.classList.add('status-ready');
+        } else if (status.startsWith('Running')) {
+            this.statusEl.classList.add('status-running');
+        }
+    },
+
+    /**
+     * Forget the window; the run it controlled is stopped by onClose
+     */
+    destroy() {
+        if (this.keyBindings) {
+            this.keyBindings.destroy();
+            this.keyBindings = null;
+        }
+        this.debuggerWindow = null;
+        this.statusEl = null;
+        this.stackEl = null;
+        this.localsEl = null;
+        this.globalsEl = null;
+        this.buttons = null;
+        this.stopBtn = null;
+        this.state = null;
+        this.active = false;
+    }
+};
+
+export default PythonDebugger;
@@ -5,17 +5,93 @@
 import CodeStorage from '../code-storage.js';
 import KeyBindings from '../keybindings.js';
 import DebugLogger from '../debug-logger.js';
+import PythonProject from './python-project.js';
+import RunConfig from './run-config.js';
+import { createTimeLimitControl, DEFAULT_TIME_LIMIT } from '../run-watchdog.js';
+
+// Wait for a pause in typing before checking the buffer
+const LINT_DELAY_MS = 400;
+// Wait for the pointer to rest on a name before asking for its help
+const HOVER_DELAY_MS = 500;
+// Docstrings beyond this are cut in the hover tooltip
+const HOVER_DOC_LIMIT = 1500;
+// Gutter class of a line with a breakpoint
+const BREAKPOINT_CLASS = 'ace-breakpoint';
+
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * @param {Uint8Array} bytes - Contents of an uploaded file
+ * @returns {string|null} The text, or null when the file is not UTF-8 text
+ */
+function decodeText(bytes) {
+    if (bytes.includes(0)) {
+        return null;
+    }
+    try {
+        return textDecoder.decode(bytes);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @param {Object} session - Ace EditSession
+ * @returns {number[]} 0-based rows with a breakpoint
+ */
+function breakpointRows(session) {
+    const rows = [];
+    session.getBreakpoints().forEach((className, row) => {
+        if (className) {
+            rows.push(row);
+        }
+    });
+    return rows;
+}
 
 const PythonEditor = {
     editor: null,
     _onResize: null,
     _onChange: null,
     runBtn: null,
+    stopBtn: null,
+    testsBtn: null,
+    debugBtn: null,
+    profileBtn: null,
+    consoleBtn: null,
     saveBtn: null,
     statusEl: null,
+    tabsEl: null,
+    entrySelect: null,
+    timeLimitSelect: null,
+    uploadInput: null,
+    sessions: null,
+    activeFile: null,
+    entry: null,
+    configs: [],
+    config: null,
+    configSelect: null,
+    configBtn: null,
+    configPanel: null,
+    configFields: null,
+    runtimeErrors: [],
+    executionMarker: null,
+    lint: null,
+    lintResults: null,
+    lintMarkers: null,
+    _lintTimer: null,
+    _lintRequest: 0,
+    complete: null,
+    hover: null,
+    writeFiles: null,
+    hoverEl: null,
+    _hoverTimer: null,
+    _hoverRequest: 0,
+    _hoverScroll: 0,
     storage: null,
     saveToLocal: false,
     keyBindings: null,
+    onRunInConsole: null,
 
     /**
      * Initialize editor in a container
@@ -26,7 +102,17 @@ const PythonEditor = {
         const {
             initialText = '',
             onRun = null,
-            storageKey = 'pythonEditorCode'
+            onStop = null,
+            onRunTests = null,
+            onDebug = null,
+            onProfile = null,
+            onRunInConsole = null,
+            lint = null,
+            complete = null,
+            hover = null,
+            writeFiles = null,
+            storageKey = 'pythonEditorCode',
+            projectStorageKey = 'pythonEditorProject'
         } = options;
 
         if (typeof ace === 'undefined') {
@@ -48,10 +134,56 @@ const PythonEditor = {
         runBtn.textContent = 'Run';
         runBtn.disabled = !onRun;
 
+        const stopBtn = document.createElement('button');
+        stopBtn.className = 'editor-stop-btn';
+        stopBtn.textContent = 'Stop';
+        stopBtn.disabled = true;
+
+        const testsBtn = document.createElement('button');
+        testsBtn.className = 'editor-tests-btn';
+        testsBtn.textContent = 'Run Tests';
+        testsBtn.title = 'Run the test_* functions and unittest.TestCase classes of the open file';
+
+        const debugBtn = document.createElement('button');
+        debugBtn.className = 'editor-debug-btn';
+        debugBtn.textContent = 'Debug';
+        debugBtn.title = 'Run under the debugger, pausing at breakpoints\nClick a line number to set or clear a breakpoint';
+
+        const profileBtn = document.createElement('button');
+        profileBtn.className = 'editor-profile-btn';
+        profileBtn.textContent = 'Profile';
+        profileBtn.title = 'Run under cProfile and list the functions that took the most time';
+
+        const consoleBtn = document.createElement('button');
+        consoleBtn.className = 'editor-console-btn';
+        consoleBtn.textContent = 'Run in Console';
+        consoleBtn.title = 'Run the selection, or the whole file, in the Python Console\n' +
+            'Ctrl+Enter: selection or current line\nCtrl+Shift+Enter: whole file';
+
         const saveBtn = document.createElement('button');
         saveBtn.className = 'editor-save-btn';
         saveBtn.textContent = 'Save';
 
+        const configSelect = document.createElement('select');
+        configSelect.className = 'editor-config-select';
+        configSelect.title = 'Run configuration: arguments, environment, working directory and stdin';
+
+        const configBtn = document.createElement('button');
+        configBtn.className = 'editor-config-btn';
+        configBtn.textContent = 'Configure';
+        configBtn.title = 'Edit run configurations';
+
+        const entryLabel = document.createElement('label');
+        entryLabel.className = 'editor-entry';
+        entryLabel.textContent = 'Entry';
+
+        const entrySelect = document.createElement('select');
+        entrySelect.className = 'editor-entry-select';
+        entrySelect.title = 'File to run';
+        entryLabel.appendChild(entrySelect);
+
+        const timeLimitLabel = createTimeLimitControl('pythonEditorTimeLimit');
+
         const statusEl = document.createElement('div');
         statusEl.className = 'editor-status';
         statusEl.textContent = '';
@@ -59,19 +191,56 @@ const PythonEditor = {
         const leftGroup = document.createElement('div');
         leftGroup.className = 'editor-toolbar-left';
         leftGroup.appendChild(runBtn);
+        leftGroup.appendChild(configSelect);
+        leftGroup.appendChild(configBtn);
+        if (onStop) {
+            leftGroup.appendChild(stopBtn);
+        }
+        if (onDebug) {
+            leftGroup.appendChild(debugBtn);
+        }
+        if (onProfile) {
+            leftGroup.appendChild(profileBtn);
+        }
+        if (onRunTests) {
+            leftGroup.appendChild(testsBtn);
+        }
+        if (onRunInConsole) {
+            leftGroup.appendChild(consoleBtn);
+        }
         leftGroup.appendChild(saveBtn);
+        leftGroup.appendChild(entryLabel);
+        leftGroup.appendChild(timeLimitLabel);
 
         toolbar.appendChild(leftGroup);
         toolbar.appendChild(statusEl);
 
+        const configPanel = this.createConfigPanel();
+
+        const tabsEl = document.createElement('div');
+        tabsEl.className = 'editor-tabs';
+
+        const uploadInput = document.createElement('input');
+        uploadInput.type = 'file';
+        uploadInput.multiple = true;
+        uploadInput.className = 'hidden';
+
         const editorEl = document.createElement('div');
         editorEl.className = 'editor-host';
         editorEl.id = `ace-editor-${Date.now()}`;
 
         wrapper.appendChild(toolbar);
+        wrapper.appendChild(configPanel);
+        wrapper.appendChild(tabsEl);
         wrapper.appendChild(editorEl);
+        wrapper.appendChild(uploadInput);
         container.appendChild(wrapper);
 
+        const hoverEl = document.createElement('div');
+        hoverEl.className = 'editor-hover hidden';
+        wrapper.appendChild(hoverEl);
+        this.hoverEl = hoverEl;
+
         this.editor = ace.edit(editorEl, {
             theme: 'ace/theme/monokai',
             mode: 'ace/mode/python',
@@ -81,32 +250,57 @@ const PythonEditor = {
         // Disable Ace's default Ctrl/Cmd+L "goto line" prompt.
         this.editor.commands.removeCommand('gotoline');
 
-        this.storage = new CodeStorage(storageKey);
-
-        let startingText = initialText;
-        if (this.storage) {
-            const stored = this.storage.load();
-            if (stored !== null) {
-                startingText = stored;
-            }
-        }
-
-        this.editor.session.setValue(startingText);
         this.editor.setOptions({
-            fontSize: '13px',
-            tabSize: 4,
-            useSoftTabs: true
+            fontSize: '13px'
         });
 
-        this._onChange = () => {
+        this.storage = new CodeStorage(projectStorageKey);
+
+        // Projects replaced the single stored script; carry it over as main.py
+        let project = this.storage.loadJSON();
+        if (project === null) {
+            const legacy = new CodeStorage(storageKey).load();
+            project = legacy !== null ? legacy : initialText;
+        }
+
+        this._onChange = (delta, session) => {
+            this.shiftBreakpoints(session, delta);
             if (this.saveToLocal) {
                 this.saveToStorage();
             }
+            this.scheduleLint();
         };
-        this.editor.session.on('change', this._onChange);
+
+        this.lint = lint;
+        this.lintResults = new Map();
+        this.lintMarkers = new Map();
+        this.complete = complete;
+        this.hover = hover;
+        this.writeFiles = writeFiles;
+        if (complete) {
+            this.setupCompletion();
+        }
+        if (hover) {
+            this.setupHover(editorEl);
+        }
+
+        this.tabsEl = tabsEl;
+        this.entrySelect = entrySelect;
+        this.timeLimitSelect = timeLimitLabel.querySelector('select');
+        this.uploadInput = uploadInput;
+        this.configSelect = configSelect;
+        this.configBtn = configBtn;
+        this.configPanel = configPanel;
+        this.loadProject(project);
 
         this.runBtn = runBtn;
+        this.stopBtn = stopBtn;
+        this.testsBtn = testsBtn;
+        this.debugBtn = debugBtn;
+        this.profileBtn = profileBtn;
+        this.consoleBtn = consoleBtn;
         this.saveBtn = saveBtn;
+        this.onRunInConsole = onRunInConsole;
         this.statusEl = statusEl;
         this.setStatus(onRun ? 'Ready' : 'Not ready');
 
@@ -126,20 +320,92 @@ const PythonEditor = {
             when: () => this.editor && this.editor.isFocused()
         });
 
+        this.keyBindings.add({
+            combo: ['Command+Enter', 'Ctrl+Enter'],
+            handler: () => this.runInConsole('selection'),
+            when: () => onRunInConsole && this.editor && this.editor.isFocused()
+        });
+        this.keyBindings.add({
+            combo: ['Command+Shift+Enter', 'Ctrl+Shift+Enter'],
+            handler: () => this.runInConsole('file'),
+            when: () => onRunInConsole && this.editor && this.editor.isFocused()
+        });
+
         saveBtn.addEventListener('click', () => {
             this.toggleSaveToLocal();
         });
 
-        runBtn.addEventListener('click', async () => {
-            if (!onRun || runBtn.disabled) {
+        consoleBtn.addEventListener('click', () => {
+            const hasSelection = this.editor && !this.editor.getSelectionRange().isEmpty();
+            this.runInConsole(hasSelection ? 'selection' : 'file');
+        });
+
+        entrySelect.addEventListener('change', () => {
+            this.setEntry(entrySelect.value);
+        });
+
+        configSelect.addEventListener('change', () => {
+            this.selectConfig(configSelect.value || null);
+        });
+
+        configBtn.addEventListener('click', () => {
+            configPanel.classList.toggle('hidden');
+            configBtn.classList.toggle('is-active', !configPanel.classList.contains('hidden'));
+            this.editor.resize();
+        });
+
+        tabsEl.addEventListener('click', (event) => {
+            const target = event.target;
+            if (target.closest('.editor-tab-add')) {
+                this.promptNewFile();
+                return;
+            }
+            if (target.closest('.editor-tab-upload')) {
+                uploadInput.click();
                 return;
             }
+            const tab = target.closest('.editor-tab');
+            if (!tab) {
+                return;
+            }
+            if (target.closest('.editor-tab-close')) {
+                this.removeFile(tab.dataset.name);
+            } else {
+                this.openFile(tab.dataset.name);
+                this.editor.focus();
+            }
+        });
 
+        tabsEl.addEventListener('dblclick', (event) => {
+            const tab = event.target.closest('.editor-tab');
+            if (tab && !event.target.closest('.editor-tab-close')) {
+                this.promptRename(tab.dataset.name);
+            }
+        });
+
+        uploadInput.addEventListener('change', async () => {
+            await this.uploadFiles(uploadInput.files);
+            uploadInput.value = '';
+        });
+
+        stopBtn.addEventListener('click', () => {
+            if (onStop && !stopBtn.disabled) {
+                onStop();
+            }
+        });
+
+        // Run, Debug, Profile and Run Tests share the output worker, so one blocks the others
+        const runWith = async (button, action) => {
+            const label = button.textContent;
             try {
                 runBtn.disabled = true;
-                runBtn.textContent = 'Running...';
+                testsBtn.disabled = true;
+                debugBtn.disabled = true;
+                profileBtn.disabled = true;
+                button.textContent = 'Running...';
+                stopBtn.disabled = false;
                 this.setStatus('Running...');
-                const result = onRun();
+                const result = action();
                 if (result && typeof result.then === 'function') {
                     await result;
                 }
@@ -147,9 +413,46 @@ const PythonEditor = {
                 DebugLogger.log(`Editor run interrupted: ${error.message}`);
             } finally {
                 runBtn.disabled = false;
-                runBtn.textContent = 'Run';
+                testsBtn.disabled = false;
+                debugBtn.disabled = false;
+                profileBtn.disabled = false;
+                button.textContent = label;
+                stopBtn.disabled = true;
                 this.setStatus('Ready');
             }
+        };
+
+        runBtn.addEventListener('click', () => {
+            if (onRun && !runBtn.disabled) {
+                runWith(runBtn, onRun);
+            }
+        });
+
+        debugBtn.addEventListener('click', () => {
+            if (onDebug && !debugBtn.disabled) {
+                runWith(debugBtn, onDebug);
+            }
+        });
+
+        profileBtn.addEventListener('click', () => {
+            if (onProfile && !profileBtn.disabled) {
+                runWith(profileBtn, onProfile);
+            }
+        });
+
+        this.editor.on('gutterclick', (event) => {
+            // The fold widget keeps its own click
+            if (event.domEvent.target.closest('.ace_fold-widget')) {
+                return;
+            }
+            this.toggleBreakpoint(event.getDocumentPosition().row);
+            event.stop();
+        });
+
+        testsBtn.addEventListener('click', () => {
+            if (onRunTests && !testsBtn.disabled) {
+                runWith(testsBtn, () => onRunTests(this.activeFile));
+            }
         });
 
         this._onResize = () => {
@@ -161,7 +464,7 @@ const PythonEditor = {
     },
 
     /**
-     * Get the current editor contents
+     * Get the contents of the open file
      * @returns {string}
      */
     getValue() {
@@ -171,6 +474,888 @@ const PythonEditor = {
         return this.editor.getValue();
     },
 
+    /**
+     * Send code from the open file to the Python Console
+     * @param {string} scope - 'file', or 'selection', which falls back to the current line
+     */
+    runInConsole(scope) {
+        if (!this.editor || !this.onRunInConsole) {
+            return;
+        }
+        const file = this.activeFile;
+        if (!PythonProject.isPython(file)) {
+            this.setStatus(`${file} is not a Python file`);
+            return;
+        }
+
+        const session = this.editor.session;
+        const range = this.editor.getSelectionRange();
+        let request;
+        if (scope === 'file') {
+            request = { source: session.getValue(), label: file, firstLine: 1 };
+        } else if (!range.isEmpty()) {
+            const first = range.start.row + 1;
+            const last = range.end.column === 0 && range.end.row > range.start.row ? range.end.row : range.end.row + 1;
+            request = {
+                source: session.getTextRange(range),
+                label: first === last ? `${file} line ${first}` : `${file} lines ${first}-${last}`,
+                firstLine: first
+            };
+        } else {
+            // Like a notebook's run-and-advance, step to the next line
+            const row = this.editor.getCursorPosition().row;
+            request = { source: session.getLine(row), label: `${file} line ${row + 1}`, firstLine: row + 1 };
+            this.editor.gotoLine(Math.min(row + 2, session.getLength()), 0, false);
+        }
+
+        if (!request.source.trim()) {
+            return;
+        }
+        this.onRunInConsole({ ...request, file });
+    },
+
+    /**
+     * Seconds a run may take before it is stopped; 0 for no limit
+     * @returns {number}
+     */
+    getTimeLimit() {
+        return this.timeLimitSelect ? Number(this.timeLimitSelect.value) : DEFAULT_TIME_LIMIT;
+    },
+
+    /**
+     * Get every project file and the entry point
+     * @returns {{entry: string, files: Array<{name: string, content: string}>}}
+     */
+    getProject() {
+        if (!this.sessions) {
+            return PythonProject.create();
+        }
+        const files = [];
+        for (const [name, session] of this.sessions) {
+            files.push({ name, content: session.getValue() });
+        }
+        return {
+            entry: this.entry,
+            files,
+            configs: this.configs.map((config) => ({ ...config })),
+            config: this.config
+        };
+    },
+
+    /**
+     * Replace the open project
+     * @param {Object|string} data - A project, or plain source for main.py
+     */
+    loadProject(data) {
+        const project = PythonProject.normalize(data);
+
+        this.detachSessions();
+        this.sessions = new Map();
+        for (const file of project.files) {
+            this.sessions.set(file.name, this.createSession(file.name, file.content));
+        }
+        this.entry = project.entry;
+        this.configs = project.configs;
+        this.config = project.config;
+        this.activeFile = null;
+        this.openFile(project.entry || project.files[0].name);
+        this.renderConfigs();
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} content
+     * @returns {Object} Ace EditSession
+     */
+    createSession(name, content) {
+        const session = ace.createEditSession(content, PythonProject.modeFor(name));
+        session.setOptions({
+            tabSize: 4,
+            useSoftTabs: true,
+            wrap: true
+        });
+        session.on('change', this._onChange);
+        return session;
+    },
+
+    detachSessions() {
+        if (!this.sessions) {
+            return;
+        }
+        for (const session of this.sessions.values()) {
+            session.off('change', this._onChange);
+        }
+    },
+
+    /**
+     * Show a project file in the editor
+     * @param {string} name
+     */
+    openFile(name) {
+        const session = this.sessions && this.sessions.get(name);
+        if (!session || !this.editor) {
+            return;
+        }
+        this.activeFile = name;
+        this.editor.setSession(session);
+        this.renderTabs();
+        this.scheduleLint(0);
+    },
+
+    /**
+     * Add a project file and open it
+     * @param {string} name
+     * @param {string} [content]
+     * @returns {boolean} Whether the file was added
+     */
+    addFile(name, content = '') {
+        if (!this.checkName(name)) {
+            return false;
+        }
+        this.sessions.set(name, this.createSession(name, content));
+        if (!this.entry) {
+            this.entry = PythonProject.pickEntry(this.getProject().files, null);
+        }
+        this.openFile(name);
+        this.projectChanged();
+        return true;
+    },
+
+    /**
+     * Rename a project file, keeping its undo history
+     * @param {string} name
+     * @param {string} newName
+     */
+    renameFile(name, newName) {
+        if (name === newName || !this.sessions.has(name) || !this.checkName(newName)) {
+            return;
+        }
+
+        // Rebuild the map so the tab keeps its position
+        const renamed = new Map();
+        for (const [key, session] of this.sessions) {
+            renamed.set(key === name ? newName : key, session);
+        }
+        this.sessions = renamed;
+        this.sessions.get(newName).setMode(PythonProject.modeFor(newName));
+
+        if (this.activeFile === name) {
+            this.activeFile = newName;
+        }
+        this.entry = PythonProject.pickEntry(this.getProject().files, this.entry === name ? newName : this.entry);
+        this.renderTabs();
+        this.projectChanged();
+    },
+
+    /**
+     * Delete a project file after confirmation
+     * @param {string} name
+     */
+    removeFile(name) {
+        if (!this.sessions.has(name)) {
+            return;
+        }
+        if (this.sessions.size === 1) {
+            window.alert('A project needs at least one file.');
+            return;
+        }
+        if (!window.confirm(`Delete ${name}?`)) {
+            return;
+        }
+
+        const session = this.sessions.get(name);
+        this.sessions.delete(name);
+        if (typeof session.off === 'function') {
+            session.off('change', this._onChange);
+        }
+
+        this.entry = PythonProject.pickEntry(this.getProject().files, this.entry);
+        if (this.activeFile === name) {
+            this.openFile(this.sessions.keys().next().value);
+        } else {
+            this.renderTabs();
+        }
+        this.projectChanged();
+    },
+
+    /**
+     * Choose the file the Run button executes
+     * @param {string} name
+     */
+    setEntry(name) {
+        this.entry = PythonProject.pickEntry(this.getProject().files, name);
+        this.renderTabs();
+        this.projectChanged();
+    },
+
+    promptNewFile() {
+        const name = window.prompt('New file name', this.suggestName());
+        if (name !== null) {
+            this.addFile(name.trim());
+        }
+    },
+
+    /**
+     * @param {string} name
+     */
+    promptRename(name) {
+        const newName = window.prompt(`Rename ${name} to`, name);
+        if (newName !== null) {
+            this.renameFile(name, newName.trim());
+        }
+    },
+
+    /**
+     * Add text files picked from disk as project files, replacing same-named
+     * ones, and save the others straight into the home directory
+     * @param {FileList} fileList
+     */
+    async uploadFiles(fileList) {
+        const binary = [];
+        for (const file of Array.from(fileList || [])) {
+            try {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                const content = decodeText(bytes);
+                if (content === null) {
+                    binary.push({ name: file.name, bytes });
+                    continue;
+                }
+                const session = this.sessions.get(file.name);
+                if (session) {
+                    session.setValue(content);
+                    this.openFile(file.name);
+                } else {
+                    this.addFile(file.name, content);
+                }
+            } catch (error) {
+                DebugLogger.log(`Failed to read ${file.name}: ${error.message}`);
+            }
+        }
+        if (binary.length) {
+            await this.saveBinaryFiles(binary);
+        }
+    },
+
+    /**
+     * Write uploads that cannot be edited as text to the home directory,
+     * byte for byte. They get no tab, and a tab of the same name would
+     * overwrite them on the next run, so such names are refused
+     * @param {Array<{name: string, bytes: Uint8Array}>} files
+     */
+    async saveBinaryFiles(files) {
+        const accepted = files.filter((file) => this.checkName(file.name));
+        if (!accepted.length) {
+            return;
+        }
+        const names = accepted.map((file) => file.name).join(', ');
+        if (!this.writeFiles) {
+            DebugLogger.log(`Cannot save ${names}: no Python runtime to write binary files to`);
+            return;
+        }
+        this.setStatus(`Saving ${names}...`);
+        try {
+            await this.writeFiles(accepted);
+            this.setStatus(`Saved ${names} to /home/pyodide`);
+        } catch (error) {
+            this.setStatus(`Error saving ${names}`);
+            DebugLogger.log(`Failed to save ${names}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Validate a new file name, telling the user why it was rejected
+     * @param {string} name
+     * @returns {boolean}
+     */
+    checkName(name) {
+        if (!PythonProject.isValidName(name)) {
+            window.alert(`"${name}" is not a valid file name. Use letters, digits, "_", "-" and "."`);
+            return false;
+        }
+        if (this.sessions.has(name)) {
+            window.alert(`${name} already exists.`);
+            return false;
+        }
+        return true;
+    },
+
+    suggestName() {
+        let index = 1;
+        while (this.sessions.has(`module${index}.py`)) {
+            index += 1;
+        }
+        return `module${index}.py`;
+    },
+
+    renderTabs() {
+        if (!this.tabsEl) {
+            return;
+        }
+        this.tabsEl.innerHTML = '';
+
+        for (const name of this.sessions.keys()) {
+            const tab = document.createElement('div');
+            tab.className = 'editor-tab';
+            tab.dataset.name = name;
+            tab.title = 'Double-click to rename';
+            if (name === this.activeFile) {
+                tab.classList.add('is-active');
+            }
+            if (name === this.entry) {
+                tab.classList.add('is-entry');
+            }
+
+            const label = document.createElement('span');
+            label.className = 'editor-tab-name';
+            label.textContent = name;
+
+            const close = document.createElement('button');
+            close.className = 'editor-tab-close';
+            close.type = 'button';
+            close.title = `Delete ${name}`;
+            close.textContent = '×';
+
+            tab.appendChild(label);
+            tab.appendChild(close);
+            this.tabsEl.appendChild(tab);
+        }
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'editor-tab-add';
+        addBtn.type = 'button';
+        addBtn.title = 'New file';
+        addBtn.textContent = '+';
+        this.tabsEl.appendChild(addBtn);
+
+        const uploadBtn = document.createElement('button');
+        uploadBtn.className = 'editor-tab-upload';
+        uploadBtn.type = 'button';
+        uploadBtn.title = 'Add files from disk';
+        uploadBtn.textContent = 'Upload';
+        this.tabsEl.appendChild(uploadBtn);
+
+        this.renderEntrySelect();
+    },
+
+    renderEntrySelect() {
+        if (!this.entrySelect) {
+            return;
+        }
+        this.entrySelect.innerHTML = '';
+        for (const name of this.sessions.keys()) {
+            if (!PythonProject.isPython(name)) {
+                continue;
+            }
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.entrySelect.appendChild(option);
+        }
+        this.entrySelect.value = this.entry || '';
+        this.entrySelect.disabled = !this.entry;
+    },
+
+    /**
+     * Build the run configuration editor shown under the toolbar
+     * @returns {HTMLElement}
+     */
+    createConfigPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'editor-config-panel hidden';
+
+        const field = (label, element, placeholder) => {
+            const row = document.createElement('label');
+            row.className = 'editor-config-field';
+            const caption = document.createElement('span');
+            caption.textContent = label;
+            element.placeholder = placeholder;
+            element.spellcheck = false;
+            row.appendChild(caption);
+            row.appendChild(element);
+            panel.appendChild(row);
+            return element;
+        };
+
+        const actions = document.createElement('div');
+        actions.className = 'editor-config-actions';
+        const newBtn = document.createElement('button');
+        newBtn.type = 'button';
+        newBtn.textContent = 'New';
+        const duplicateBtn = document.createElement('button');
+        duplicateBtn.type = 'button';
+        duplicateBtn.textContent = 'Duplicate';
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.textContent = 'Delete';
+        actions.appendChild(newBtn);
+        actions.appendChild(duplicateBtn);
+        actions.appendChild(deleteBtn);
+        panel.appendChild(actions);
+
+        this.configFields = {
+            name: field('Name', document.createElement('input'), 'Configuration name'),
+            args: field('Arguments', document.createElement('input'), 'e.g. --count 3 "two words"'),
+            env: field('Environment', document.createElement('textarea'), 'KEY=value, one per line'),
+            cwd: field('Working directory', document.createElement('input'), 'Relative to the project directory'),
+            stdin: field('Stdin', document.createElement('textarea'), 'Fed to input() instead of the Stdin panel'),
+            duplicateBtn,
+            deleteBtn
+        };
+
+        for (const key of ['args', 'env', 'cwd', 'stdin']) {
+            this.configFields[key].addEventListener('input', () => {
+                const config = this.getActiveConfig();
+                if (config) {
+                    config[key] = this.configFields[key].value;
+                    this.projectChanged();
+                }
+            });
+        }
+        this.configFields.name.addEventListener('change', () => {
+            const config = this.getActiveConfig();
+            if (config) {
+                this.renameConfig(config.name, this.configFields.name.value.trim());
+            }
+        });
+        newBtn.addEventListener('click', () => this.promptNewConfig());
+        duplicateBtn.addEventListener('click', () => this.promptNewConfig(this.getActiveConfig()));
+        deleteBtn.addEventListener('click', () => this.removeConfig());
+
+        return panel;
+    },
+
+    /**
+     * @returns {Object|null} The selected run configuration, null for the default run
+     */
+    getActiveConfig() {
+        return this.configs.find((config) => config.name === this.config) || null;
+    },
+
+    /**
+     * Choose the run configuration the Run button uses
+     * @param {string|null} name - null for the default run
+     */
+    selectConfig(name) {
+        this.config = this.configs.some((config) => config.name === name) ? name : null;
+        this.renderConfigs();
+        this.projectChanged();
+    },
+
+    /**
+     * Ask for a name and add a configuration, copying an existing one if given
+     * @param {Object|null} [source]
+     */
+    promptNewConfig(source = null) {
+        const suggestion = source ? `${source.name} copy` : `Config ${this.configs.length + 1}`;
+        const name = window.prompt('Run configuration name', suggestion);
+        if (name === null || !this.checkConfigName(name.trim())) {
+            return;
+        }
+        const config = source ? { ...source, name: name.trim() } : RunConfig.create(name.trim());
+        this.configs.push(config);
+        this.selectConfig(config.name);
+        if (this.configPanel && this.configPanel.classList.contains('hidden')) {
+            this.configBtn.click();
+        }
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} newName
+     */
+    renameConfig(name, newName) {
+        if (name !== newName && this.checkConfigName(newName)) {
+            this.getActiveConfig().name = newName;
+            this.config = newName;
+            this.projectChanged();
+        }
+        this.renderConfigs();
+    },
+
+    removeConfig() {
+        const config = this.getActiveConfig();
+        if (!config || !window.confirm(`Delete run configuration "${config.name}"?`)) {
+            return;
+        }
+        this.configs = this.configs.filter((item) => item !== config);
+        this.selectConfig(null);
+    },
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    checkConfigName(name) {
+        if (!name) {
+            window.alert('A run configuration needs a name.');
+            return false;
+        }
+        if (this.configs.some((config) => config.name === name)) {
+            window.alert(`A run configuration named "${name}" already exists.`);
+            return false;
+        }
+        return true;
+    },
+
+    renderConfigs() {
+        if (!this.configSelect) {
+            return;
+        }
+        this.configSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default';
+        this.configSelect.appendChild(defaultOption);
+        for (const config of this.configs) {
+            const option = document.createElement('option');
+            option.value = config.name;
+            option.textContent = config.name;
+            this.configSelect.appendChild(option);
+        }
+        this.configSelect.value = this.config || '';
+
+        const config = this.getActiveConfig();
+        for (const key of ['name', 'args', 'env', 'cwd', 'stdin']) {
+            this.configFields[key].value = config ? config[key] : '';
+            this.configFields[key].disabled = !config;
+        }
+        this.configFields.duplicateBtn.disabled = !config;
+        this.configFields.deleteBtn.disabled = !config;
+    },
+
+    projectChanged() {
+        if (this.saveToLocal) {
+            this.saveToStorage();
+        }
+    },
+
+    /**
+     * Feed Ace autocompletion from the analysis worker
+     */
+    setupCompletion() {
+        if (!ace.require('ace/ext/language_tools')) {
+            DebugLogger.log('Ace language tools not available; editor completion is off');
+            return;
+        }
+        const completer = {
+            identifierRegexps: [/[a-zA-Z_0-9\u00A2-\uFFFF]/],
+            triggerCharacters: ['.'],
+            getCompletions: (editor, session, pos, prefix, callback) => {
+                const file = this.activeFile;
+                if (!this.complete || !PythonProject.isPython(file)) {
+                    callback(null, []);
+                    return;
+                }
+                this.complete(this.getQuery(session, pos))
+                    .then((items) => {
+                        // Keep jedi's ranking; Ace sorts by score
+                        callback(null, items.map((item, index) => ({
+                            caption: item.name,
+                            value: item.name,
+                            meta: item.type,
+                            score: items.length - index
+                        })));
+                    })
+                    .catch(() => callback(null, []));
+            }
+        };
+
+        // Per editor, so the TypeScript Editor keeps Ace's own completers
+        this.editor.completers = [completer];
+        this.editor.setOptions({
+            enableBasicAutocompletion: true,
+            enableLiveAutocompletion: true
+        });
+    },
+
+    /**
+     * The buffer, a position in it and the other project files
+     * @param {Object} session - Ace EditSession of the open file
+     * @param {{row: number, column: number}} pos - 0-based position
+     * @returns {Object} Query for the analysis worker
+     */
+    getQuery(session, pos) {
+        return {
+            source: session.getValue(),
+            file: this.activeFile,
+            line: pos.row + 1,
+            column: pos.column,
+            files: this.getProject().files
+        };
+    },
+
+    /**
+     * Show signatures and docstrings when the pointer rests on a name
+     * @param {HTMLElement} editorEl - Element hosting the editor
+     */
+    setupHover(editorEl) {
+        this.editor.on('mousemove', (event) => {
+            clearTimeout(this._hoverTimer);
+            const pos = event.getDocumentPosition();
+            const { clientX, clientY } = event.domEvent;
+            this._hoverTimer = setTimeout(() => this.showHover(pos, clientX, clientY), HOVER_DELAY_MS);
+        });
+        editorEl.addEventListener('mouseleave', () => this.hideHover());
+        this.editor.on('change', () => this.hideHover());
+        this.editor.on('changeSession', () => this.hideHover());
+        this.editor.renderer.on('afterRender', () => {
+            // Scrolling moves the text away from the tooltip
+            if (this.editor && this.hoverEl && !this.hoverEl.classList.contains('hidden') &&
+                this._hoverScroll !== this.editor.session.getScrollTop()) {
+                this.hideHover();
+            }
+        });
+    },
+
+    async showHover(pos, clientX, clientY) {
+        const session = this.editor && this.editor.session;
+        if (!session || !this.hover || !PythonProject.isPython(this.activeFile)) {
+            return;
+        }
+        // Past the end of a line Ace reports the last column; only names count
+        const lineEnd = this.editor.renderer.textToScreenCoordinates(pos.row, session.getLine(pos.row).length);
+        const word = session.getTextRange(session.getWordRange(pos.row, pos.column));
+        const pastEnd = clientY >= lineEnd.pageY && clientX > lineEnd.pageX;
+        if (pastEnd || !/^[A-Za-z_\u00A2-\uFFFF][\w\u00A2-\uFFFF]*$/.test(word)) {
+            this.hideHover();
+            return;
+        }
+
+        const request = ++this._hoverRequest;
+        let info;
+        try {
+            info = await this.hover(this.getQuery(session, pos));
+        } catch (error) {
+            return;
+        }
+        if (request !== this._hoverRequest || !this.hoverEl || !info) {
+            return;
+        }
+        this.renderHover(info);
+
+        const bounds = this.hoverEl.parentElement.getBoundingClientRect();
+        this.hoverEl.style.left = `${Math.max(0, clientX - bounds.left)}px`;
+        this.hoverEl.style.top = `${clientY - bounds.top + 16}px`;
+        this.hoverEl.classList.remove('hidden');
+        this._hoverScroll = session.getScrollTop();
+    },
+
+    /**
+     * @param {{name: string, type: string, signatures: Array<string>, doc: string}} info
+     */
+    renderHover(info) {
+        this.hoverEl.innerHTML = '';
+
+        const title = document.createElement('pre');
+        title.className = 'editor-hover-signature';
+        title.textContent = info.signatures.length ? info.signatures.join('\n') : `${info.type} ${info.name}`;
+        this.hoverEl.appendChild(title);
+
+        if (info.doc) {
+            const doc = document.createElement('div');
+            doc.className = 'editor-hover-doc';
+            doc.textContent = info.doc.length > HOVER_DOC_LIMIT ? `${info.doc.slice(0, HOVER_DOC_LIMIT)}…` : info.doc;
+            this.hoverEl.appendChild(doc);
+        }
+    },
+
+    hideHover() {
+        clearTimeout(this._hoverTimer);
+        this._hoverRequest += 1;
+        if (this.hoverEl) {
+            this.hoverEl.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Open a project file at a location and focus the editor
+     * @param {{file: string, line: number, column?: number}} location - 1-based position
+     */
+    goTo(location) {
+        if (!this.editor || !this.sessions || !this.sessions.has(location.file)) {
+            return;
+        }
+        this.openFile(location.file);
+        this.editor.gotoLine(location.line, Math.max(0, (location.column || 1) - 1), true);
+        this.editor.focus();
+    },
+
+    /**
+     * Mark runtime error locations in the gutter of their files
+     * @param {Array<{file: string, line: number, message: string}>} errors - Empty to clear
+     */
+    setErrors(errors) {
+        this.runtimeErrors = errors;
+        this.updateAnnotations();
+    },
+
+    /**
+     * Set or clear a breakpoint in the open file
+     * @param {number} row - 0-based
+     */
+    toggleBreakpoint(row) {
+        if (!this.editor || !PythonProject.isPython(this.activeFile)) {
+            return;
+        }
+        const session = this.editor.session;
+        session.setBreakpoint(row, session.getBreakpoints()[row] ? null : BREAKPOINT_CLASS);
+    },
+
+    /**
+     * Breakpoints of every Python file, for a debug run
+     * @returns {Object<string, number[]>} File name to 1-based lines
+     */
+    getBreakpoints() {
+        const breakpoints = {};
+        if (!this.sessions) {
+            return breakpoints;
+        }
+        for (const [name, session] of this.sessions) {
+            if (PythonProject.isPython(name)) {
+                breakpoints[name] = breakpointRows(session).map((row) => row + 1);
+            }
+        }
+        return breakpoints;
+    },
+
+    /**
+     * Keep breakpoints on their lines when lines above them are added or removed
+     * @param {Object} session - Ace EditSession that changed
+     * @param {Object} delta - Ace change
+     */
+    shiftBreakpoints(session, delta) {
+        const count = delta.end.row - delta.start.row;
+        const rows = breakpointRows(session);
+        if (!count || !rows.length) {
+            return;
+        }
+        const { start, end } = delta;
+        const moved = new Set();
+        for (const row of rows) {
+            if (delta.action === 'insert') {
+                moved.add(row > start.row || (row === start.row && start.column === 0) ? row + count : row);
+            } else if (row < start.row || (row === start.row && start.column > 0)) {
+                moved.add(row);
+            } else if (row > end.row || (row === end.row && start.column === 0 && end.column === 0)) {
+                moved.add(row - count);
+            }
+            // Breakpoints on removed lines go with them
+        }
+        session.clearBreakpoints();
+        for (const row of moved) {
+            session.setBreakpoint(row, BREAKPOINT_CLASS);
+        }
+    },
+
+    /**
+     * Highlight the line a paused debug run stopped at, opening its file
+     * @param {{file: string, line: number}|null} location - null to clear
+     */
+    setExecutionLine(location) {
+        if (this.executionMarker) {
+            const { session, id, row } = this.executionMarker;
+            session.removeMarker(id);
+            session.removeGutterDecoration(row, 'ace-execution-gutter');
+            this.executionMarker = null;
+        }
+        if (!location || !this.editor || !this.sessions || !this.sessions.has(location.file)) {
+            return;
+        }
+        const Range = ace.require('ace/range').Range;
+        const session = this.sessions.get(location.file);
+        const row = location.line - 1;
+        this.executionMarker = {
+            session,
+            row,
+            id: session.addMarker(new Range(row, 0, row, 1), 'ace-execution-line', 'fullLine')
+        };
+        session.addGutterDecoration(row, 'ace-execution-gutter');
+        this.openFile(location.file);
+        this.editor.scrollToLine(row, true, true);
+    },
+
+    /**
+     * Check the open file after a pause in typing
+     * @param {number} [delay] - Milliseconds to wait
+     */
+    scheduleLint(delay = LINT_DELAY_MS) {
+        if (!this.lint) {
+            return;
+        }
+        clearTimeout(this._lintTimer);
+        this._lintTimer = setTimeout(() => this.lintActiveFile(), delay);
+    },
+
+    async lintActiveFile() {
+        const name = this.activeFile;
+        const session = this.sessions && this.sessions.get(name);
+        if (!session || !this.lint) {
+            return;
+        }
+        if (!PythonProject.isPython(name)) {
+            this.setLintResults(session, []);
+            return;
+        }
+
+        // Only the newest request may update the editor
+        const request = ++this._lintRequest;
+        const source = session.getValue();
+        let diagnostics;
+        try {
+            diagnostics = await this.lint(source, name);
+        } catch (error) {
+            return;
+        }
+        if (request === this._lintRequest && this.lintResults && session.getValue() === source) {
+            this.setLintResults(session, diagnostics);
+        }
+    },
+
+    /**
+     * @param {Object} session - Ace EditSession the diagnostics belong to
+     * @param {Array<Object>} diagnostics
+     */
+    setLintResults(session, diagnostics) {
+        this.lintResults.set(session, diagnostics);
+        this.updateAnnotations();
+    },
+
+    updateAnnotations() {
+        if (!this.sessions) {
+            return;
+        }
+        const Range = ace.require('ace/range').Range;
+
+        for (const [name, session] of this.sessions) {
+            const lintDiagnostics = (this.lintResults && this.lintResults.get(session)) || [];
+            const annotations = lintDiagnostics.map((item) => ({
+                row: item.line - 1,
+                column: item.column - 1,
+                text: item.message,
+                type: item.severity === 'warning' ? 'warning' : 'error'
+            }));
+            for (const error of this.runtimeErrors.filter((item) => item.file === name)) {
+                annotations.push({
+                    row: error.line - 1,
+                    column: Math.max(0, (error.column || 1) - 1),
+                    text: error.message,
+                    type: 'error'
+                });
+            }
+            session.setAnnotations(annotations);
+
+            if (this.lintMarkers) {
+                for (const id of this.lintMarkers.get(session) || []) {
+                    session.removeMarker(id);
+                }
+                this.lintMarkers.set(session, lintDiagnostics.map((item) => session.addMarker(
+                    new Range(item.line - 1, item.column - 1, item.endLine - 1, item.endColumn - 1),
+                    `ace-lint-${item.severity === 'warning' ? 'warning' : 'error'}`,
+                    'text'
+                )));
+            }
+        }
+    },
 
     /**
      * Toggle auto-save to localStorage
@@ -183,13 +1368,13 @@ const PythonEditor = {
     },
 
     /**
-     * Persist editor contents to localStorage
+     * Persist the project to localStorage
      */
     saveToStorage() {
-        if (!this.storage || !this.editor) {
+        if (!this.storage || !this.sessions) {
             return;
         }
-        this.storage.save(this.editor.getValue());
+        this.storage.saveJSON(this.getProject());
     },
 
     /**
@@ -219,19 +1404,47 @@ const PythonEditor = {
             window.removeEventListener('resize', this._onResize);
             this._onResize = null;
         }
-        if (this.editor && this._onChange) {
-            if (typeof this.editor.session.off === 'function') {
-                this.editor.session.off('change', this._onChange);
-            } else if (typeof this.editor.session.removeListener === 'function') {
-                this.editor.session.removeListener('change', this._onChange);
-            }
+        if (this._onChange) {
+            this.detachSessions();
             this._onChange = null;
         }
+        clearTimeout(this._lintTimer);
+        this._lintTimer = null;
+        clearTimeout(this._hoverTimer);
+        this._hoverTimer = null;
+        this.complete = null;
+        this.hover = null;
+        this.writeFiles = null;
+        this.hoverEl = null;
+        this.lint = null;
+        this.lintResults = null;
+        this.lintMarkers = null;
         if (this.editor) {
             this.editor.destroy();
             this.editor = null;
         }
+        this.sessions = null;
+        this.runtimeErrors = [];
+        this.executionMarker = null;
+        this.activeFile = null;
+        this.entry = null;
+        this.configs = [];
+        this.config = null;
+        this.configSelect = null;
+        this.configBtn = null;
+        this.configPanel = null;
+        this.configFields = null;
+        this.tabsEl = null;
+        this.entrySelect = null;
+        this.timeLimitSelect = null;
+        this.uploadInput = null;
         this.runBtn = null;
+        this.stopBtn = null;
+        this.testsBtn = null;
+        this.debugBtn = null;
+        this.profileBtn = null;
+        this.consoleBtn = null;
+        this.onRunInConsole = null;
         this.saveBtn = null;
         this.statusEl = null;
         this.storage = null;
@@ -5,21 +5,51 @@
 import DebugLogger from '../debug-logger.js';
 import WindowManager from '../window-manager.js';
 import KeyBindings from '../keybindings.js';
+import SyncChannel from '../sync-channel.js';
+import { getPageOverride } from './pyodide-config.js';
+import PyodideRuntime from './pyodide-runtime.js';
+import PythonProject from './python-project.js';
+import RunConfig from './run-config.js';
+import { linkifyLocations } from '../output-links.js';
+import RunHistory, { formatMetrics } from '../run-history.js';
+import { startRunWatchdog, stopRunWatchdog } from '../run-watchdog.js';
+import { renderTestReport } from './test-report.js';
+import { renderProfileReport } from '../profile-report.js';
+
+// Traceback frames in project files; the worker runs them from /home/pyodide
+const FRAME_PATTERN = /File "\/home\/pyodide\/([^"/]+)", line (\d+)/g;
 
 const PythonOutput = {
     worker: null,
     isReady: false,
     isRunning: false,
+    isDebugging: false,
+    isPaused: false,
     outputWindow: null,
     outputEl: null,
     statusEl: null,
     clearBtn: null,
+    history: new RunHistory('pythonRunHistory'),
+    watchdog: null,
+    stopBtn: null,
+    stdinBtn: null,
+    stdinPanel: null,
+    inputEl: null,
+    stdinChannel: null,
+    interruptBuffer: null,
+    stdinText: '',
     currentStatus: 'Idle',
     _onStatus: null,
+    _onNavigate: null,
+    _onErrors: null,
+    _debugHooks: {},
     _runResolve: null,
     _runReject: null,
     _runPromise: null,
     _needsInit: true,
+    _nextId: 1,
+    // write_files requests waiting for the worker, keyed by id
+    _writes: new Map(),
     debugStream: false,
     keyBindings: null,
 
@@ -37,17 +67,27 @@ const PythonOutput = {
         this._needsInit = false;
         this.setStatus('Starting...');
         DebugLogger.updateOutputWorkerStatus('Creating worker...');
+        this.stdinChannel = SyncChannel.isSupported() ? SyncChannel.create() : null;
+        // Pyodide polls this byte; writing 2 (SIGINT) raises KeyboardInterrupt
+        this.interruptBuffer = SyncChannel.isSupported() ? new Uint8Array(new SharedArrayBuffer(1)) : null;
+        if (!this.stdinChannel) {
+            DebugLogger.log('Page is not cross-origin isolated; Python input() reads from the Stdin panel only and Stop restarts the runtime');
+        }
         return new Promise((resolve, reject) => {
             this.worker = new Worker(new URL('./pyodide-output-worker.js', import.meta.url), { type: 'module' });
 
             this.worker.onmessage = (e) => {
-                const { type, message, exception, exitCode, stream, text } = e.data;
+                const { type, message, exception, exitCode, frames, stream, text, mime, data, alt, metrics, file, results, wallMs, line, profile, snapshot, id, error } = e.data;
 
                 switch (type) {
                     case 'status':
                         if (this._onStatus) {
                             this._onStatus(message);
                         }
+                        // Package loading progress shows in the status bar during a run
+                        if (this.isRunning) {
+                            this.setStatus(message === 'Ready' ? 'Running...' : message);
+                        }
                         DebugLogger.updateOutputWorkerStatus(message);
                         break;
 
@@ -59,20 +99,53 @@ const PythonOutput = {
                         resolve();
                         break;
 
+                    case 'snapshot':
+                        PyodideRuntime.provide(this.worker, snapshot, message);
+                        break;
+
                     case 'result':
                         this.ensureWindow();
                         if (exception) {
-                            this.append(exception, 'exception');
+                            this.appendTraceback(exception);
+                            this.reportError(exception, frames);
                         }
 
                         this.append(`Process exited with code ${exitCode}`, 'exit');
+                        if (metrics) {
+                            this.recordRun(metrics, exitCode);
+                        }
+                        if (profile) {
+                            this.appendProfile(profile);
+                        }
                         break;
+
+                    case 'test_results':
+                        this.ensureWindow();
+                        this.appendTestReport(file, results, wallMs);
+                        break;
+
                     case 'stream':
                         this.ensureWindow();
                         this.appendStream(text || '', stream === 'stderr' ? 'stderr' : 'stdout');
                         break;
 
+                    case 'image':
+                        this.ensureWindow();
+                        this.appendImage(mime, data, alt);
+                        break;
+
+                    case 'paused':
+                        this.ensureWindow();
+                        this.pauseDebugger({ file, line, frames });
+                        break;
+
+                    case 'input_request':
+                        this.ensureWindow();
+                        this.requestInput();
+                        break;
+
                     case 'error':
+                        PyodideRuntime.release(this.worker);
                         this.ensureWindow();
                         this.clear();
                         this.append(message, 'exception');
@@ -85,10 +158,32 @@ const PythonOutput = {
                         this._runPromise = null;
                         this.setStatus(`Error: ${message}`);
                         DebugLogger.updateOutputWorkerStatus(`Error: ${message}`);
+                        if (!this.isReady) {
+                            // Python failed to start; the next run starts a new worker
+                            this.worker.terminate();
+                            this.worker = null;
+                            this._needsInit = true;
+                            reject(new Error(message));
+                        }
+                        break;
+
+                    case 'files_written':
+                        if (this._writes.has(id)) {
+                            const { resolve, reject } = this._writes.get(id);
+                            this._writes.delete(id);
+                            if (error) {
+                                reject(new Error(error));
+                            } else {
+                                resolve();
+                            }
+                        }
                         break;
 
                     case 'done':
+                        stopRunWatchdog(this);
+                        this.endDebugging();
                         this.isRunning = false;
+                        this.updateControls();
                         this.setStatus('Idle');
                         if (this._runResolve) {
                             this._runResolve();
@@ -101,20 +196,29 @@ const PythonOutput = {
             };
 
             this.worker.onerror = (error) => {
+                PyodideRuntime.release(this.worker);
                 this.setStatus(`Error: ${error.message}`);
                 DebugLogger.updateOutputWorkerStatus(`Error: ${error.message}`);
                 reject(error);
             };
 
-            this.worker.postMessage({ type: 'init' });
+            PyodideRuntime.start(this.worker, {
+                source: getPageOverride(),
+                stdinBuffer: this.stdinChannel ? this.stdinChannel.buffer : null,
+                interruptBuffer: this.interruptBuffer
+            });
         });
     },
 
     /**
-     * Run a full Python script
-     * @param {string} code - Python source code
+     * Run a Python project with its selected run configuration
+     * @param {Object|string} project - Project files and entry point, or plain source run as main.py
+     * @param {Object} [options]
+     * @param {number} [options.timeLimit] - Seconds before the run is interrupted; 0 for no limit
+     * @param {Object} [options.breakpoints] - Debug the run; maps file names to 1-based lines
+     * @param {boolean} [options.profile] - Run under cProfile and show a hotspot table
      */
-    async run(code) {
+    async run(project, options = {}) {
         if (this._needsInit || !this.worker) {
             await this.init();
         }
@@ -122,22 +226,217 @@ const PythonOutput = {
             return this._runPromise || Promise.resolve();
         }
 
+        const normalized = PythonProject.normalize(project);
+        const { files, entry } = normalized;
+        let config;
+        try {
+            config = RunConfig.resolve(PythonProject.activeConfig(normalized));
+        } catch (error) {
+            this.ensureWindow();
+            this.clear();
+            this.append(`Run configuration "${normalized.config}": ${error.message}`, 'exception');
+            return;
+        }
+        const breakpoints = options.breakpoints || null;
+        if (breakpoints && !this.stdinChannel) {
+            this.ensureWindow();
+            this.clear();
+            this.append('Debugging needs a cross-origin isolated page, like input() prompts do', 'exception');
+            return;
+        }
+
+        this.isDebugging = Boolean(breakpoints);
+        return this.dispatch({
+            type: 'run',
+            data: {
+                files,
+                entry,
+                args: config.args,
+                env: config.env,
+                cwd: config.cwd,
+                stdin: config.stdin !== null ? config.stdin : this.stdinText,
+                breakpoints,
+                profile: Boolean(options.profile)
+            }
+        }, options.timeLimit || 0);
+    },
+
+    /**
+     * Run the test_* functions and unittest.TestCase classes of one project file
+     * @param {Object} project - Project files and entry point
+     * @param {string} file - File whose tests to run
+     * @param {Object} [options]
+     * @param {number} [options.timeLimit] - Seconds before the run is interrupted; 0 for no limit
+     */
+    async runTests(project, file, options = {}) {
+        if (this._needsInit || !this.worker) {
+            await this.init();
+        }
+        if (this.isRunning) {
+            return this._runPromise || Promise.resolve();
+        }
+
+        const { files } = PythonProject.normalize(project);
+        return this.dispatch({
+            type: 'run_tests',
+            data: { files, file, stdin: this.stdinText }
+        }, options.timeLimit || 0);
+    },
+
+    /**
+     * Save files straight into the home directory, for uploads the editor
+     * cannot open as text
+     * @param {Array<{name: string, bytes: Uint8Array}>} files
+     * @returns {Promise<void>} Rejects when the worker cannot save them
+     */
+    async writeFiles(files) {
+        if (this._needsInit || !this.worker) {
+            await this.init();
+        }
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._writes.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'write_files', data: { id, files } });
+        });
+    },
+
+    /**
+     * Start a run in the worker with a fresh output log
+     * @param {Object} message - The worker message that starts it
+     * @param {number} timeLimit - Seconds; 0 for no limit
+     * @returns {Promise} Settles when the worker is done
+     */
+    dispatch(message, timeLimit) {
         this.isRunning = true;
         this.ensureWindow();
         this.clear();
+        if (this._onErrors) {
+            this._onErrors([]);
+        }
+        this.updateControls();
         this.setStatus('Running...');
+        if (this.interruptBuffer) {
+            this.interruptBuffer[0] = 0;
+        }
 
+        startRunWatchdog(this, timeLimit, {
+            runtime: 'Python',
+            interrupt: (limit) => {
+                if (!this.interrupt()) {
+                    return false;
+                }
+                this.append(`Time limit of ${limit} exceeded; interrupting the run`, 'exception');
+                return true;
+            }
+        });
         this._runPromise = new Promise((resolve, reject) => {
             this._runResolve = resolve;
             this._runReject = reject;
-            this.worker.postMessage({
-                type: 'run',
-                data: { code }
-            });
+            this.worker.postMessage(message);
         });
         return this._runPromise;
     },
 
+    /**
+     * Stop the running script
+     * Raises KeyboardInterrupt through the interrupt buffer so the worker stays
+     * warm; without cross-origin isolation the worker has to be restarted
+     */
+    stop() {
+        if (!this.isRunning || this.interrupt()) {
+            return;
+        }
+
+        this.terminateWorker();
+        this.append('Process stopped; the Python runtime will restart on the next run', 'exit');
+    },
+
+    /**
+     * Raise KeyboardInterrupt in the running script
+     * @returns {boolean} False when the page is not cross-origin isolated
+     */
+    interrupt() {
+        if (!this.interruptBuffer) {
+            return false;
+        }
+        this.interruptBuffer[0] = 2;
+        this.isPaused = false;
+        // A script blocked in input() or the debugger never reaches the interrupt check
+        if (this.stdinChannel) {
+            this.stdinChannel.interrupt();
+        }
+        this.cancelInput();
+        this.setStatus('Stopping...');
+        DebugLogger.log('[Output Worker] Interrupt requested');
+        return true;
+    },
+
+    /**
+     * The debugger stopped the script; it waits for a command from the Debugger window
+     * @param {Object} state - {file, line, frames}, innermost frame first
+     */
+    pauseDebugger(state) {
+        this.isPaused = true;
+        // Time spent paused does not count against the time limit
+        if (this.watchdog) {
+            this.watchdog.pause();
+        }
+        this.setStatus(`Paused at ${state.file}:${state.line}`);
+        if (this._debugHooks.onPause) {
+            this._debugHooks.onPause(state);
+        }
+    },
+
+    /**
+     * Resume a paused debug run
+     * @param {string} command - 'continue', 'over', 'into' or 'out'
+     * @param {Object} [breakpoints] - Replaces the run's breakpoints, file name to lines
+     * @returns {boolean} False when no run is paused
+     */
+    resumeDebugger(command, breakpoints) {
+        if (!this.isPaused || !this.stdinChannel) {
+            return false;
+        }
+        this.isPaused = false;
+        this.resumeWatchdog();
+        this.setStatus('Running...');
+        if (this._debugHooks.onResume) {
+            this._debugHooks.onResume();
+        }
+        return this.stdinChannel.write(JSON.stringify({ command, breakpoints }));
+    },
+
+    endDebugging() {
+        if (!this.isDebugging) {
+            return;
+        }
+        this.isDebugging = false;
+        this.isPaused = false;
+        if (this._debugHooks.onEnd) {
+            this._debugHooks.onEnd();
+        }
+    },
+
+    /**
+     * Connect debug runs to the Debugger window and the editor
+     * @param {Object} hooks
+     * @param {Function} [hooks.onPause] - Called with {file, line, frames} when the run pauses
+     * @param {Function} [hooks.onResume] - Called when a paused run continues
+     * @param {Function} [hooks.onEnd] - Called when a debug run ends or is stopped
+     */
+    setDebugHooks(hooks = {}) {
+        this._debugHooks = hooks;
+    },
+
+    /**
+     * Sync toolbar buttons with the run state
+     */
+    updateControls() {
+        if (this.stopBtn) {
+            this.stopBtn.disabled = !this.isRunning;
+        }
+    },
+
     /**
      * Create or focus the output window
      */
@@ -154,6 +453,7 @@ const PythonOutput = {
                 this.outputWindow = null;
                 this.outputEl = null;
                 this.statusEl = null;
+                this.stdinPanel = null;
                 this.terminate();
             },
             onReady: (container) => {
@@ -177,20 +477,54 @@ const PythonOutput = {
                 clearBtn.textContent = 'Clear';
                 clearBtn.addEventListener('click', () => this.clear());
 
+                const { button: historyBtn, panel: historyPanel } = this.history.createControls();
+
+                const stopBtn = document.createElement('button');
+                stopBtn.className = 'output-stop-btn';
+                stopBtn.textContent = 'Stop';
+                stopBtn.disabled = !this.isRunning;
+                stopBtn.addEventListener('click', () => this.stop());
+
+                const stdinBtn = document.createElement('button');
+                stdinBtn.className = 'output-stdin-btn';
+                stdinBtn.textContent = 'Stdin';
+                stdinBtn.title = 'Text fed to input() and sys.stdin before asking interactively';
+
                 leftGroup.appendChild(clearBtn);
+                leftGroup.appendChild(stopBtn);
+                leftGroup.appendChild(stdinBtn);
+                leftGroup.appendChild(historyBtn);
                 toolbar.appendChild(leftGroup);
                 toolbar.appendChild(status);
 
+                const stdinPanel = document.createElement('textarea');
+                stdinPanel.className = 'output-stdin-panel hidden';
+                stdinPanel.placeholder = 'Stdin for the next run, one line per input() call';
+                stdinPanel.spellcheck = false;
+                stdinPanel.value = this.stdinText;
+                stdinPanel.addEventListener('input', () => {
+                    this.stdinText = stdinPanel.value;
+                });
+                stdinBtn.addEventListener('click', () => {
+                    stdinPanel.classList.toggle('hidden');
+                    stdinBtn.classList.toggle('is-active', !stdinPanel.classList.contains('hidden'));
+                });
+
                 const output = document.createElement('div');
                 output.className = 'output-log';
 
                 wrapper.appendChild(toolbar);
+                wrapper.appendChild(stdinPanel);
+                wrapper.appendChild(historyPanel);
                 wrapper.appendChild(output);
                 container.appendChild(wrapper);
 
                 this.outputEl = output;
                 this.statusEl = status;
                 this.clearBtn = clearBtn;
+                this.stopBtn = stopBtn;
+                this.stdinBtn = stdinBtn;
+                this.stdinPanel = stdinPanel;
                 this.setStatus(this.currentStatus || 'Idle');
 
                 if (!this.keyBindings) {
@@ -222,6 +556,101 @@ const PythonOutput = {
         this.outputEl.scrollTop = this.outputEl.scrollHeight;
     },
 
+    /**
+     * Append a traceback whose project frames link to the editor
+     * @param {string} text - Formatted traceback
+     */
+    appendTraceback(text) {
+        if (!this.outputEl) {
+            return;
+        }
+        if (!this._onNavigate) {
+            this.append(text, 'exception');
+            return;
+        }
+
+        const line = document.createElement('div');
+        line.className = 'output-line output-exception';
+        line.appendChild(linkifyLocations(text, FRAME_PATTERN, (match) => ({
+            file: match[1],
+            line: Number(match[2])
+        }), this._onNavigate));
+        this.outputEl.appendChild(line);
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+    },
+
+    /**
+     * Show the results of Run Tests as a tree and mark failed tests in the editor
+     * @param {string} file - The tested file
+     * @param {Object} results - {tests, error, interrupted} from the worker
+     * @param {number} wallMs
+     */
+    appendTestReport(file, results, wallMs) {
+        if (!this.outputEl) {
+            return;
+        }
+        const renderTraceback = (text) => (this._onNavigate
+            ? linkifyLocations(text, FRAME_PATTERN, (match) => ({
+                file: match[1],
+                line: Number(match[2])
+            }), this._onNavigate)
+            : document.createTextNode(text));
+        this.outputEl.appendChild(renderTestReport(results, {
+            file,
+            wallMs,
+            renderTraceback,
+            onNavigate: this._onNavigate
+        }));
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+
+        if (this._onErrors) {
+            this._onErrors(results.tests
+                .filter((test) => (test.outcome === 'failed' || test.outcome === 'error') && (test.failureLine || test.line))
+                .map((test) => ({
+                    file,
+                    line: test.failureLine || test.line,
+                    message: `${test.name}: ${test.message.split('\n')[0]}`
+                })));
+        }
+    },
+
+    /**
+     * Show the hotspot table of a Profile run
+     * @param {Object} profile - {rows, hidden, totalMs} from the worker
+     */
+    appendProfile(profile) {
+        if (!this.outputEl) {
+            return;
+        }
+        this.outputEl.appendChild(renderProfileReport(profile, { onNavigate: this._onNavigate }));
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+    },
+
+    /**
+     * Hand the innermost project frame of a failed run to the editor
+     * @param {string} text - Formatted traceback
+     * @param {Array<{file: string, line: number}>} [frames] - Project frames, innermost last
+     */
+    reportError(text, frames = []) {
+        if (!this._onErrors || !frames.length) {
+            return;
+        }
+        const lines = text.trimEnd().split('\n');
+        const innermost = frames[frames.length - 1];
+        this._onErrors([{ ...innermost, message: lines[lines.length - 1] }]);
+    },
+
+    /**
+     * Connect tracebacks to the editor
+     * @param {Object} hooks
+     * @param {Function} [hooks.onNavigate] - Called with {file, line} when a frame is clicked
+     * @param {Function} [hooks.onErrors] - Called with the error locations of a run; empty when a run starts
+     */
+    setEditorHooks(hooks = {}) {
+        this._onNavigate = hooks.onNavigate || null;
+        this._onErrors = hooks.onErrors || null;
+    },
+
     /**
      * Append streaming output text
      * @param {string} text - Output text
@@ -249,12 +678,111 @@ const PythonOutput = {
         this.outputEl.scrollTop = this.outputEl.scrollHeight;
     },
 
+    /**
+     * Append an image between the surrounding output
+     * @param {string} mime - Image MIME type
+     * @param {string} data - Base64-encoded image data
+     * @param {string} [alt] - Alternative text
+     */
+    appendImage(mime, data, alt = '') {
+        if (!this.outputEl || !data) {
+            return;
+        }
+
+        const figure = document.createElement('div');
+        figure.className = 'output-image';
+        const img = document.createElement('img');
+        img.src = `data:${mime};base64,${data}`;
+        img.alt = alt || 'Image output';
+        // Scroll again once the image has a height
+        img.addEventListener('load', () => {
+            if (this.outputEl) {
+                this.outputEl.scrollTop = this.outputEl.scrollHeight;
+            }
+        });
+        figure.appendChild(img);
+        this.outputEl.appendChild(figure);
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+    },
+
+    /**
+     * Show an inline input field and hand the typed line to the worker
+     */
+    requestInput() {
+        if (!this.outputEl || !this.stdinChannel) {
+            return;
+        }
+        this.cancelInput();
+        // Time spent typing does not count against the time limit
+        if (this.watchdog) {
+            this.watchdog.pause();
+        }
+
+        const input = document.createElement('input');
+        input.className = 'output-input';
+        input.type = 'text';
+        input.spellcheck = false;
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                const value = input.value;
+                this.inputEl = null;
+                input.remove();
+                this.appendStream(`${value}\n`, 'stdin');
+                this.resumeWatchdog();
+                this.stdinChannel.write(`${value}\n`);
+            } else if (event.key === 'd' && event.ctrlKey) {
+                // Ctrl+D sends EOF, like a terminal
+                event.preventDefault();
+                this.inputEl = null;
+                input.remove();
+                this.resumeWatchdog();
+                this.stdinChannel.close();
+            }
+        });
+
+        this.outputEl.appendChild(input);
+        this.inputEl = input;
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+        input.focus();
+    },
+
+    resumeWatchdog() {
+        if (this.watchdog) {
+            this.watchdog.resume();
+        }
+    },
+
+    /**
+     * Remove a pending input field without answering it
+     */
+    cancelInput() {
+        if (this.inputEl) {
+            this.inputEl.remove();
+            this.inputEl = null;
+        }
+    },
+
+    /**
+     * Show a run's metrics under its exit line and add them to the history
+     * @param {Object} metrics - From the worker's result
+     * @param {number} exitCode
+     */
+    recordRun(metrics, exitCode) {
+        this.append(formatMetrics(metrics), 'metrics');
+        this.history.add(metrics, exitCode);
+    },
+
     /**
      * Clear output
      */
     clear() {
         if (this.outputEl) {
             this.outputEl.innerHTML = '';
+            // Keep a pending input field, the worker is still blocked on it
+            if (this.inputEl) {
+                this.outputEl.appendChild(this.inputEl);
+            }
         }
     },
 
@@ -270,7 +798,7 @@ const PythonOutput = {
         this.statusEl.textContent = status;
         this.statusEl.classList.remove('status-ready', 'status-running', 'status-not-ready');
         const normalized = String(status).toLowerCase();
-        if (normalized.includes('running')) {
+        if (normalized.includes('running') || normalized.startsWith('load')) {
             this.statusEl.classList.add('status-running');
         } else if (normalized.includes('not ready') || normalized.includes('error')) {
             this.statusEl.classList.add('status-not-ready');
@@ -280,10 +808,13 @@ const PythonOutput = {
     },
 
     /**
-     * Terminate the worker and reset state
+     * Terminate the worker and reset run state, keeping the window usable
      */
-    terminate() {
+    terminateWorker() {
+        stopRunWatchdog(this);
+        this.endDebugging();
         if (this.worker) {
+            PyodideRuntime.release(this.worker);
             this.worker.terminate();
             this.worker = null;
         }
@@ -295,19 +826,36 @@ const PythonOutput = {
                 this._runResolve();
             }
         }
+        this.cancelInput();
+        for (const { reject } of this._writes.values()) {
+            reject(new Error('Python runtime stopped before the files were saved'));
+        }
+        this._writes.clear();
+        this.stdinChannel = null;
+        this.interruptBuffer = null;
         this.isReady = false;
         this.isRunning = false;
         this._needsInit = true;
         this._runResolve = null;
         this._runReject = null;
         this._runPromise = null;
+        this.updateControls();
         this.setStatus('Idle');
         DebugLogger.updateOutputWorkerStatus('Terminated');
+    },
+
+    /**
+     * Terminate the worker and reset state
+     */
+    terminate() {
+        this.terminateWorker();
         if (this.keyBindings) {
             this.keyBindings.destroy();
             this.keyBindings = null;
         }
         this.clearBtn = null;
+        this.stopBtn = null;
+        this.stdinBtn = null;
     }
 };
 
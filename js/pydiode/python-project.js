@@ -0,0 +1,123 @@
+/**
+ * Python Project - the files the Python Editor syncs into the Pyodide filesystem
+ * and the run configurations stored with them
+ */
+
+import RunConfig from './run-config.js';
+
+export const DEFAULT_ENTRY = 'main.py';
+
+// Flat file names only; they are written straight into the project directory
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+const PythonProject = {
+    /**
+     * Create a single-file project
+     * @param {string} code - Contents of the entry file
+     * @returns {Object} {entry, files, configs, config}
+     */
+    create(code = '') {
+        return {
+            entry: DEFAULT_ENTRY,
+            files: [{ name: DEFAULT_ENTRY, content: code }],
+            configs: [],
+            config: null
+        };
+    },
+
+    /**
+     * Coerce stored or caller-supplied data into a valid project
+     * @param {Object|string} data - A project object, or plain source for main.py
+     * @returns {Object} {entry, files, configs, config}
+     */
+    normalize(data) {
+        if (typeof data === 'string') {
+            return this.create(data);
+        }
+        if (!data || !Array.isArray(data.files)) {
+            return this.create();
+        }
+
+        const seen = new Set();
+        const files = [];
+        for (const file of data.files) {
+            if (!file || !this.isValidName(file.name) || seen.has(file.name)) {
+                continue;
+            }
+            seen.add(file.name);
+            files.push({ name: file.name, content: typeof file.content === 'string' ? file.content : '' });
+        }
+        if (!files.length) {
+            return this.create();
+        }
+
+        const configs = RunConfig.normalizeAll(data.configs);
+        return {
+            entry: this.pickEntry(files, data.entry),
+            files,
+            configs,
+            config: configs.some((config) => config.name === data.config) ? data.config : null
+        };
+    },
+
+    /**
+     * The selected run configuration
+     * @param {Object} project - A normalized project
+     * @returns {Object|null} null for the default run
+     */
+    activeConfig(project) {
+        return project.configs.find((config) => config.name === project.config) || null;
+    },
+
+    /**
+     * Check whether a name can be used for a project file
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isValidName(name) {
+        return typeof name === 'string' && FILE_NAME_PATTERN.test(name) && name !== '.' && name !== '..';
+    },
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isPython(name) {
+        return name.endsWith('.py');
+    },
+
+    /**
+     * Keep the requested entry if it is still a Python file, else fall back
+     * @param {Array<{name: string}>} files
+     * @param {string} [entry]
+     * @returns {string|null}
+     */
+    pickEntry(files, entry) {
+        const scripts = files.filter((file) => this.isPython(file.name));
+        if (scripts.some((file) => file.name === entry)) {
+            return entry;
+        }
+        const main = scripts.find((file) => file.name === DEFAULT_ENTRY);
+        return (main || scripts[0] || {}).name || null;
+    },
+
+    /**
+     * Ace mode for a project file
+     * @param {string} name
+     * @returns {string}
+     */
+    modeFor(name) {
+        if (this.isPython(name)) {
+            return 'ace/mode/python';
+        }
+        if (name.endsWith('.json')) {
+            return 'ace/mode/json';
+        }
+        if (name.endsWith('.md')) {
+            return 'ace/mode/markdown';
+        }
+        return 'ace/mode/text';
+    }
+};
+
+export default PythonProject;
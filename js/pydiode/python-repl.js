@@ -3,12 +3,36 @@
  */
 
 import DebugLogger from '../debug-logger.js';
+import KeyBindings from '../keybindings.js';
+import ConsoleHistory from '../console-history.js';
+import ConsoleSession, { createSessionToolbar, downloadText } from '../console-session.js';
+import SyncChannel from '../sync-channel.js';
+import { getPageOverride } from './pyodide-config.js';
+import PyodideRuntime from './pyodide-runtime.js';
+import { escapeHtml, renderMimeBundle } from '../rich-output.js';
+import PythonVariables from './python-variables.js';
 
 const PythonREPL = {
     worker: null,
     term: null,
     isLoaded: false,
     currentPrompt: '>>> ',
+    stdinChannel: null,
+    interruptBuffer: null,
+    isExecuting: false,
+    isReadingInput: false,
+    keyBindings: null,
+    history: null,
+    session: null,
+    container: null,
+    replaying: false,
+    _onDone: null,
+    _readyWaiters: [],
+    _nextId: 1,
+    _pending: null,
+    richCount: 0,
+    plainResults: null,
+    _onRichToggle: null,
 
     /**
      * Initialize Python REPL in a container
@@ -16,10 +40,14 @@ const PythonREPL = {
      * @returns {Promise} Resolves when REPL is ready
      */
     async init(container) {
+        this.container = container;
+        this._pending = new Map();
         return new Promise((resolve, reject) => {
             // Create worker
             DebugLogger.updateReplWorkerStatus('Creating worker...');
             this.worker = new Worker(new URL('./pyodide-worker.js', import.meta.url), { type: 'module' });
+            this.stdinChannel = SyncChannel.isSupported() ? SyncChannel.create() : null;
+            this.interruptBuffer = SyncChannel.isSupported() ? new Uint8Array(new SharedArrayBuffer(1)) : null;
 
             // Update loading message
             const loadingDiv = container.querySelector('.terminal-loading span');
@@ -29,7 +57,7 @@ const PythonREPL = {
 
             // Handle worker messages
             this.worker.onmessage = (e) => {
-                const { type, message, banner, prompt, completions } = e.data;
+                const { type, message, banner, prompt, completions, stream, text, rich, id, variables, snapshot } = e.data;
 
                 switch (type) {
                     case 'status':
@@ -43,10 +71,26 @@ const PythonREPL = {
                         this.isLoaded = true;
                         DebugLogger.updateReplWorkerStatus('Ready');
                         this.initTerminal(container, banner);
+                        this._readyWaiters.forEach((waiter) => waiter.resolve());
+                        this._readyWaiters = [];
                         resolve();
+                        // A restarted console starts with an empty namespace
+                        if (PythonVariables.isOpen()) {
+                            PythonVariables.refresh();
+                        }
+                        break;
+
+                    case 'snapshot':
+                        PyodideRuntime.provide(this.worker, snapshot, message);
                         break;
 
                     case 'output':
+                        if (this.session) {
+                            this.session.output(`${message}\n`);
+                        }
+                        if (this.term && rich && this.echoRich(message, rich)) {
+                            break;
+                        }
                         if (this.term) {
                             this.term.echo(
                                 message.replaceAll(']]', '&rsqb;&rsqb;').replaceAll('[[', '&lsqb;&lsqb;'),
@@ -55,11 +99,30 @@ const PythonREPL = {
                         }
                         break;
 
+                    case 'stream':
+                        if (this.session) {
+                            this.session.output(text);
+                        }
+                        if (this.term) {
+                            this.echoStream(text, stream);
+                        }
+                        break;
+
+                    case 'input_request':
+                        if (this.term) {
+                            this.readInput();
+                        }
+                        break;
+
                     case 'error':
+                        PyodideRuntime.release(this.worker);
                         if (this.term) {
+                            this.session.fail(message);
                             this.term.error(message);
                         } else {
                             DebugLogger.log(`[REPL] Failed - ${message}`);
+                            this._readyWaiters.forEach((waiter) => waiter.reject(new Error(message)));
+                            this._readyWaiters = [];
                             reject(new Error(message));
                         }
                         break;
@@ -72,15 +135,29 @@ const PythonREPL = {
                         break;
 
                     case 'done':
+                        this.isExecuting = false;
                         if (this.term) {
                             this.term.resume();
                         }
+                        this.settleDone();
+                        if (PythonVariables.isOpen()) {
+                            PythonVariables.refresh();
+                        }
+                        break;
+
+                    case 'variables':
+                        this.settle(id, variables || []);
+                        break;
+
+                    case 'variable_repr':
+                        this.settle(id, text || '');
                         break;
 
                     case 'interrupted':
                         if (this.term) {
                             this.term.echo('KeyboardInterrupt');
                             this.term.set_command('');
+                            this.currentPrompt = '>>> ';
                             this.term.set_prompt('>>> ');
                             this.term.resume();
                         }
@@ -96,11 +173,16 @@ const PythonREPL = {
             };
 
             this.worker.onerror = (error) => {
+                PyodideRuntime.release(this.worker);
                 reject(error);
             };
 
-            // Start initialization
-            this.worker.postMessage({ type: 'init' });
+            // Start initialization, from the shared runtime when another worker has one
+            PyodideRuntime.start(this.worker, {
+                source: getPageOverride(),
+                stdinBuffer: this.stdinChannel ? this.stdinChannel.buffer : null,
+                interruptBuffer: this.interruptBuffer
+            });
         });
     },
 
@@ -113,13 +195,45 @@ const PythonREPL = {
         // Clear loading message
         container.innerHTML = '';
 
+        this.session = new ConsoleSession({
+            language: 'python',
+            title: 'Python Console',
+            extension: 'py',
+            prompt: '>>> ',
+            continuationPrompt: '... '
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'repl-wrapper';
+        const toolbar = createSessionToolbar({
+            onExport: (format) => this.exportSession(format),
+            onImport: (text) => this.importSession(text)
+        });
+        const variablesBtn = document.createElement('button');
+        variablesBtn.className = 'repl-variables-btn';
+        variablesBtn.textContent = 'Variables';
+        variablesBtn.title = 'List the names defined in this console';
+        variablesBtn.addEventListener('click', () => this.openVariables());
+        toolbar.appendChild(variablesBtn);
+        wrapper.appendChild(toolbar);
+
         // Create terminal
         const termContainer = document.createElement('div');
-        termContainer.style.height = '100%';
-        container.appendChild(termContainer);
+        wrapper.appendChild(termContainer);
+        container.appendChild(wrapper);
 
         // Interpreter function - sends commands to worker
+        this.history = new ConsoleHistory('pythonConsoleHistory');
         const interpreter = (command) => {
+            if (this.currentPrompt === '>>> ' && this.history.handle(command)) {
+                return;
+            }
+            this.history.add(command);
+            this.session.input(command, this.currentPrompt);
+            this.isExecuting = true;
+            if (this.interruptBuffer) {
+                this.interruptBuffer[0] = 0;
+            }
             this.term.pause();
             this.worker.postMessage({
                 type: 'execute',
@@ -131,6 +245,11 @@ const PythonREPL = {
         this.term = $(termContainer).terminal(interpreter, {
             greetings: banner,
             prompt: '>>> ',
+            // ConsoleHistory stores the commands; the terminal only searches them
+            memory: true,
+            historySize: false,
+            // Reading input() pushes an interpreter, which leaves the terminal with an empty history
+            onPop: () => this.history && this.history.sync(),
             completionEscape: false,
             completion: (command, callback) => {
                 // Store callback for later
@@ -142,6 +261,10 @@ const PythonREPL = {
             },
             keymap: {
                 'CTRL+C': (event, original) => {
+                    // Running statements are interrupted by the key binding below
+                    if (this.isExecuting) {
+                        return false;
+                    }
                     this.worker.postMessage({ type: 'interrupt' });
                 },
                 'TAB': (event, original) => {
@@ -157,6 +280,302 @@ const PythonREPL = {
 
         this.term.ready = Promise.resolve();
         this.term.ready = Promise.resolve();
+        this.history.attach(this.term);
+
+        // Rich results carry their own Rich/Plain toggle
+        this.plainResults = new Set();
+        this._onRichToggle = (event) => {
+            const button = event.target.closest('.repl-rich-toggle');
+            if (!button) {
+                return;
+            }
+            const result = button.closest('.repl-rich');
+            const id = Number(result.dataset.richId);
+            if (this.plainResults.has(id)) {
+                this.plainResults.delete(id);
+            } else {
+                this.plainResults.add(id);
+            }
+            this.applyRichView(result);
+        };
+        termContainer.addEventListener('click', this._onRichToggle);
+
+        // The terminal ignores its keymap while paused, so listen directly
+        this.keyBindings = new KeyBindings(termContainer);
+        this.keyBindings.add({
+            combo: 'Ctrl+C',
+            handler: () => this.interrupt(),
+            when: () => this.isExecuting
+        });
+    },
+
+    /**
+     * Wait until the console can run code
+     * @returns {Promise} Rejects if the console is closed first
+     */
+    whenReady() {
+        if (this.isLoaded && this.term) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            this._readyWaiters.push({ resolve, reject });
+        });
+    },
+
+    /**
+     * Run editor code in the console namespace
+     * @param {string} source - Python source
+     * @param {Object} [options]
+     * @param {string} [options.label] - What is being run, echoed before the output
+     * @param {string} [options.file] - Project file the source comes from
+     * @param {number} [options.firstLine] - Line of the file the source starts at
+     * @param {Array<{name: string, content: string}>} [options.files] - Project files to sync first
+     * @returns {boolean} Whether the code was sent
+     */
+    runSource(source, options = {}) {
+        if (!this.term || !this.worker) {
+            return false;
+        }
+        if (this.isExecuting) {
+            this.term.error('The console is busy; wait for the running statement or press Ctrl+C');
+            return false;
+        }
+
+        const { label = 'editor code', file = null, firstLine = 1, files = null } = options;
+        this.term.echo(`[[;#9ca3af;]# Run ${$.terminal.escape_brackets(label)}]`);
+        this.session.input(source, this.session.prompt);
+        this.isExecuting = true;
+        if (this.interruptBuffer) {
+            this.interruptBuffer[0] = 0;
+        }
+        this.term.pause();
+        this.worker.postMessage({
+            type: 'run_source',
+            data: { source, file, firstLine, files }
+        });
+        return true;
+    },
+
+    /**
+     * Open the Variables window on this console's namespace
+     */
+    openVariables() {
+        PythonVariables.open({
+            list: () => this.request('inspect', { path: null }, []),
+            expand: (path) => this.request('inspect', { path }, []),
+            remove: (name) => this.request('delete_variable', { name }, []),
+            copy: (path) => this.request('copy_variable', { path }, '')
+        });
+    },
+
+    /**
+     * Send a request tagged with an id and wait for the matching reply
+     * @param {string} type - Message type
+     * @param {Object} data - Request data
+     * @param {*} fallback - Result when the console is not running
+     * @returns {Promise<*>}
+     */
+    request(type, data, fallback) {
+        if (!this.worker || !this.isLoaded || !this._pending) {
+            return Promise.resolve(fallback);
+        }
+        const id = this._nextId++;
+        return new Promise((resolve) => {
+            this._pending.set(id, { resolve, fallback });
+            this.worker.postMessage({ type, data: { ...data, id } });
+        });
+    },
+
+    settle(id, value) {
+        if (this._pending && this._pending.has(id)) {
+            this._pending.get(id).resolve(value);
+            this._pending.delete(id);
+        }
+    },
+
+    /**
+     * Download the session
+     * @param {string} format - 'text', 'markdown' or 'source'
+     */
+    exportSession(format) {
+        const { filename, text } = this.session.export(format);
+        downloadText(filename, text);
+    },
+
+    /**
+     * Restart the console and replay the inputs of a transcript or source file
+     * @param {string} text - File contents
+     */
+    async importSession(text) {
+        const inputs = this.session.parse(text);
+        if (!inputs.length) {
+            this.term.error('Nothing to import: the file has no console inputs');
+            return;
+        }
+        if (this.isExecuting) {
+            this.term.error('The console is busy; wait for the running statement or press Ctrl+C');
+            return;
+        }
+
+        const container = this.container;
+        this.destroy();
+        container.innerHTML = '<div class="terminal-loading"><div class="spinner"></div><span>Restarting...</span></div>';
+        try {
+            await this.init(container);
+        } catch (error) {
+            DebugLogger.log(`Python Console restart failed: ${error.message}`);
+            return;
+        }
+        await this.replay(inputs);
+    },
+
+    /**
+     * Run inputs one after another, echoing each at the prompt; Ctrl+C stops the replay
+     * @param {Array<string>} inputs
+     */
+    async replay(inputs) {
+        this.replaying = true;
+        this.term.echo(`[[;#9ca3af;]# Replaying ${inputs.length} input${inputs.length === 1 ? '' : 's'}]`);
+        for (const input of inputs) {
+            if (!this.replaying || !this.term) {
+                break;
+            }
+            const echoed = input.split('\n')
+                .map((line, index) => `${index ? '... ' : '>>> '}${line}`)
+                .join('\n');
+            this.term.echo($.terminal.escape_brackets(echoed));
+            this.session.input(input, this.session.prompt);
+
+            const done = new Promise((resolve) => {
+                this._onDone = resolve;
+            });
+            this.isExecuting = true;
+            if (this.interruptBuffer) {
+                this.interruptBuffer[0] = 0;
+            }
+            this.term.pause();
+            // Whole blocks go through run_source, so blank lines inside them are kept
+            this.worker.postMessage({
+                type: 'run_source',
+                data: { source: input, file: null, firstLine: 1, files: null }
+            });
+            await done;
+        }
+        this.replaying = false;
+    },
+
+    settleDone() {
+        if (this._onDone) {
+            const resolve = this._onDone;
+            this._onDone = null;
+            resolve();
+        }
+    },
+
+    /**
+     * Raise KeyboardInterrupt in the running statement
+     */
+    interrupt() {
+        this.replaying = false;
+        if (!this.interruptBuffer) {
+            this.term.error('KeyboardInterrupt needs a cross-origin isolated page; the statement keeps running');
+            return;
+        }
+        this.interruptBuffer[0] = 2;
+        if (this.isReadingInput) {
+            this.isReadingInput = false;
+            this.term.pop();
+            this.term.pause();
+            this.stdinChannel.interrupt();
+        }
+    },
+
+    /**
+     * Echo a result that defines rich reprs, with a toggle back to the plain repr
+     * @param {string} plain - The shortened repr
+     * @param {Object<string, string>} bundle - MIME bundle from the worker
+     * @returns {boolean} Whether anything was rendered
+     */
+    echoRich(plain, bundle) {
+        const html = renderMimeBundle(bundle);
+        if (!html) {
+            return false;
+        }
+
+        const id = this.richCount++;
+        this.term.echo(
+            `<div class="repl-rich" data-rich-id="${id}">` +
+            '<button type="button" class="repl-rich-toggle">Plain</button>' +
+            `<div class="repl-rich-view">${html}</div>` +
+            `<pre class="repl-rich-plain">${escapeHtml(plain)}</pre>` +
+            '</div>',
+            {
+                raw: true,
+                // The terminal re-renders lines on resize, so reapply the choice each time
+                finalize: (div) => {
+                    const result = div[0].querySelector('.repl-rich');
+                    if (result) {
+                        this.applyRichView(result);
+                    }
+                }
+            }
+        );
+        return true;
+    },
+
+    /**
+     * Show the rich or plain view of a result
+     * @param {HTMLElement} result - The .repl-rich element
+     */
+    applyRichView(result) {
+        const plain = this.plainResults.has(Number(result.dataset.richId));
+        result.classList.toggle('show-plain', plain);
+        result.querySelector('.repl-rich-toggle').textContent = plain ? 'Rich' : 'Plain';
+    },
+
+    /**
+     * Echo stdout/stderr from the running statement without forcing a newline
+     * @param {string} text - Stream text
+     * @param {string} stream - 'stdout' or 'stderr'
+     */
+    echoStream(text, stream) {
+        if (!text) {
+            return;
+        }
+        if (stream === 'stderr') {
+            this.term.error(text.trimEnd());
+            return;
+        }
+        this.term.echo(
+            text.replaceAll(']]', '&rsqb;&rsqb;').replaceAll('[[', '&lsqb;&lsqb;'),
+            { newline: false }
+        );
+    },
+
+    /**
+     * Read one line for input() and hand it back to the paused Python frame
+     */
+    readInput() {
+        if (!this.stdinChannel) {
+            return;
+        }
+        this.isReadingInput = true;
+        this.term.resume();
+        // The prompt text was already echoed without a newline, so read with an empty prompt
+        this.term.read('', (line) => {
+            this.session.output(`${line}\n`);
+            this.isReadingInput = false;
+            this.term.pause();
+            this.stdinChannel.write(`${line}\n`);
+        }, () => {
+            // Ctrl+D ends the input stream
+            if (!this.isReadingInput) {
+                return;
+            }
+            this.isReadingInput = false;
+            this.term.pause();
+            this.stdinChannel.close();
+        });
     },
 
     /**
@@ -165,14 +584,45 @@ const PythonREPL = {
     destroy() {
         DebugLogger.log('Destroying Python REPL...');
         if (this.worker) {
+            PyodideRuntime.release(this.worker);
             this.worker.terminate();
             this.worker = null;
             DebugLogger.updateReplWorkerStatus('Terminated');
         }
+        if (this.history) {
+            this.history.detach();
+            this.history = null;
+        }
         if (this.term) {
+            if (this._onRichToggle) {
+                this.term[0].removeEventListener('click', this._onRichToggle);
+            }
             this.term.destroy();
             this.term = null;
         }
+        this._onRichToggle = null;
+        this._readyWaiters.forEach((waiter) => waiter.reject(new Error('Python Console closed')));
+        this._readyWaiters = [];
+        if (this._pending) {
+            for (const { resolve, fallback } of this._pending.values()) {
+                resolve(fallback);
+            }
+            this._pending = null;
+        }
+        this.plainResults = null;
+        this.richCount = 0;
+        if (this.keyBindings) {
+            this.keyBindings.destroy();
+            this.keyBindings = null;
+        }
+        this.replaying = false;
+        this.settleDone();
+        this.session = null;
+        this.container = null;
+        this.stdinChannel = null;
+        this.interruptBuffer = null;
+        this.isExecuting = false;
+        this.isReadingInput = false;
         this.isLoaded = false;
     }
 };
@@ -0,0 +1,272 @@
+/**
+ * Python Variables - Window listing the names defined in the Python Console,
+ * with containers expanded on demand
+ */
+
+import DebugLogger from '../debug-logger.js';
+import WindowManager from '../window-manager.js';
+
+const PythonVariables = {
+    variablesWindow: null,
+    listEl: null,
+    statusEl: null,
+    source: null,
+    // JSON paths of expanded rows, kept across refreshes
+    expanded: null,
+    _refreshing: null,
+
+    /**
+     * Open the window, or bring it to the front
+     * @param {Object} source - Requests to the console worker
+     * @param {Function} source.list - Resolves with the top-level variables
+     * @param {Function} source.expand - Called with a path; resolves with its children
+     * @param {Function} source.remove - Called with a name; resolves with the variables left
+     * @param {Function} source.copy - Called with a path; resolves with the full repr
+     */
+    open(source) {
+        this.source = source;
+        if (this.variablesWindow) {
+            WindowManager.focusWindow(this.variablesWindow);
+            this.refresh();
+            return;
+        }
+        this.expanded = new Set();
+
+        this.variablesWindow = WindowManager.createWindow({
+            title: 'Python Variables',
+            width: 520,
+            height: 360,
+            onClose: () => this.destroy(),
+            onReady: (container) => {
+                container.innerHTML = '';
+
+                const wrapper = document.createElement('div');
+                wrapper.className = 'output-wrapper';
+
+                const toolbar = document.createElement('div');
+                toolbar.className = 'output-toolbar';
+
+                const refreshBtn = document.createElement('button');
+                refreshBtn.className = 'variables-refresh-btn';
+                refreshBtn.textContent = 'Refresh';
+                refreshBtn.addEventListener('click', () => this.refresh());
+
+                const status = document.createElement('div');
+                status.className = 'output-status';
+
+                toolbar.appendChild(refreshBtn);
+                toolbar.appendChild(status);
+
+                const list = document.createElement('div');
+                list.className = 'variables-list';
+
+                wrapper.appendChild(toolbar);
+                wrapper.appendChild(list);
+                container.appendChild(wrapper);
+
+                this.listEl = list;
+                this.statusEl = status;
+            }
+        });
+        this.refresh();
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.variablesWindow !== null;
+    },
+
+    /**
+     * Reload the list, reopening the rows that were expanded
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        if (!this.listEl || !this.source) {
+            return Promise.resolve();
+        }
+        // One refresh at a time; a second request waits for the first
+        const previous = this._refreshing || Promise.resolve();
+        this._refreshing = previous.then(() => this.load()).finally(() => {
+            this._refreshing = null;
+        });
+        return this._refreshing;
+    },
+
+    async load() {
+        const variables = await this.source.list();
+        await this.render(variables);
+    },
+
+    /**
+     * @param {Array<Object>} variables - Top-level variables
+     */
+    async render(variables) {
+        if (!this.listEl) {
+            return;
+        }
+        const list = document.createElement('div');
+        list.className = 'variables-list';
+        if (!variables.length) {
+            const empty = document.createElement('div');
+            empty.className = 'variables-empty';
+            empty.textContent = 'No variables yet. Names you define in the console appear here.';
+            list.appendChild(empty);
+        }
+        for (const variable of variables) {
+            list.appendChild(await this.createNode(variable, [variable.name]));
+        }
+        if (!this.listEl) {
+            return;
+        }
+        this.listEl.replaceWith(list);
+        this.listEl = list;
+        this.statusEl.textContent = `${variables.length} name${variables.length === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * A row for one variable and a container for its children
+     * @param {Object} variable - {name, type, size, repr, expandable}
+     * @param {Array<string|number>} path - Name, then child positions
+     * @returns {Promise<HTMLElement>}
+     */
+    async createNode(variable, path) {
+        const node = document.createElement('div');
+        node.className = 'variables-node';
+
+        const row = document.createElement('div');
+        row.className = 'variables-row';
+
+        const toggle = document.createElement('button');
+        toggle.className = 'variables-toggle';
+        toggle.textContent = variable.expandable ? '▸' : '';
+        toggle.disabled = !variable.expandable;
+
+        const name = document.createElement('span');
+        name.className = 'variables-name';
+        name.textContent = variable.name;
+
+        const type = document.createElement('span');
+        type.className = 'variables-type';
+        type.textContent = variable.size ? `${variable.type} (${variable.size})` : variable.type;
+
+        const value = document.createElement('span');
+        value.className = 'variables-value';
+        value.textContent = variable.repr;
+        value.title = variable.repr;
+
+        const actions = document.createElement('span');
+        actions.className = 'variables-actions';
+        // The summary row of a long container stands for no value
+        const isSummary = variable.name === '...' && !variable.type;
+        if (!isSummary) {
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'variables-action';
+            copyBtn.textContent = 'Copy';
+            copyBtn.title = 'Copy the full repr';
+            copyBtn.addEventListener('click', () => this.copy(path, copyBtn));
+            actions.appendChild(copyBtn);
+        }
+        if (path.length === 1) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'variables-action';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.title = `del ${variable.name}`;
+            deleteBtn.addEventListener('click', () => this.remove(variable.name));
+            actions.appendChild(deleteBtn);
+        }
+
+        row.append(toggle, name, type, value, actions);
+        node.appendChild(row);
+
+        const children = document.createElement('div');
+        children.className = 'variables-children hidden';
+        node.appendChild(children);
+
+        const key = JSON.stringify(path);
+        toggle.addEventListener('click', async () => {
+            if (this.expanded.has(key)) {
+                this.expanded.delete(key);
+                toggle.textContent = '▸';
+                children.classList.add('hidden');
+                return;
+            }
+            this.expanded.add(key);
+            await this.expand(children, toggle, path);
+        });
+        if (variable.expandable && this.expanded && this.expanded.has(key)) {
+            await this.expand(children, toggle, path);
+        }
+        return node;
+    },
+
+    /**
+     * Fetch and show the children of an expanded row
+     * @param {HTMLElement} container
+     * @param {HTMLButtonElement} toggle
+     * @param {Array<string|number>} path
+     */
+    async expand(container, toggle, path) {
+        toggle.textContent = '▾';
+        const variables = await this.source.expand(path);
+        container.innerHTML = '';
+        for (let index = 0; index < variables.length; index++) {
+            container.appendChild(await this.createNode(variables[index], [...path, index]));
+        }
+        container.classList.remove('hidden');
+    },
+
+    /**
+     * Delete a name from the console namespace
+     * @param {string} name
+     */
+    async remove(name) {
+        for (const key of this.expanded) {
+            if (JSON.parse(key)[0] === name) {
+                this.expanded.delete(key);
+            }
+        }
+        await this.render(await this.source.remove(name));
+    },
+
+    /**
+     * Copy the full repr of a value to the clipboard
+     * @param {Array<string|number>} path
+     * @param {HTMLButtonElement} button - Shows the outcome briefly
+     */
+    async copy(path, button) {
+        const text = await this.source.copy(path);
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copied';
+        } catch (error) {
+            DebugLogger.log(`Copy failed: ${error.message}`);
+            button.textContent = 'Failed';
+        }
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 1200);
+    },
+
+    /**
+     * Close the window, e.g. when its console closes
+     */
+    close() {
+        if (this.variablesWindow) {
+            // Goes through onClose like a click would
+            this.variablesWindow.querySelector('.window-btn-close').click();
+        }
+    },
+
+    destroy() {
+        this.variablesWindow = null;
+        this.listEl = null;
+        this.statusEl = null;
+        this.source = null;
+        this.expanded = null;
+        this._refreshing = null;
+    }
+};
+
+export default PythonVariables;
@@ -0,0 +1,143 @@
+/**
+ * Run Config - Named argv, environment, working directory and stdin presets
+ * for Python Editor runs, stored with the project
+ */
+
+// Names a POSIX shell would accept
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const RunConfig = {
+    /**
+     * Create an empty configuration
+     * @param {string} name
+     * @returns {{name: string, args: string, env: string, cwd: string, stdin: string}}
+     */
+    create(name) {
+        return { name, args: '', env: '', cwd: '', stdin: '' };
+    },
+
+    /**
+     * Coerce stored configurations, dropping unnamed and duplicate ones
+     * @param {Array<Object>} configs
+     * @returns {Array<Object>}
+     */
+    normalizeAll(configs) {
+        if (!Array.isArray(configs)) {
+            return [];
+        }
+        const seen = new Set();
+        const result = [];
+        for (const config of configs) {
+            const name = config && typeof config.name === 'string' ? config.name.trim() : '';
+            if (!name || seen.has(name)) {
+                continue;
+            }
+            seen.add(name);
+            const normalized = this.create(name);
+            for (const key of ['args', 'env', 'cwd', 'stdin']) {
+                if (typeof config[key] === 'string') {
+                    normalized[key] = config[key];
+                }
+            }
+            result.push(normalized);
+        }
+        return result;
+    },
+
+    /**
+     * Split a command line the way a POSIX shell would, without expansions
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    splitArgs(text) {
+        const args = [];
+        let current = '';
+        let inArg = false;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote === "'") {
+                if (char === "'") {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (quote === '"') {
+                if (char === '"') {
+                    quote = null;
+                } else if (char === '\\' && i + 1 < text.length && '"\\$`'.includes(text[i + 1])) {
+                    current += text[++i];
+                } else {
+                    current += char;
+                }
+            } else if (char === "'" || char === '"') {
+                quote = char;
+                inArg = true;
+            } else if (char === '\\' && i + 1 < text.length) {
+                current += text[++i];
+                inArg = true;
+            } else if (/\s/.test(char)) {
+                if (inArg) {
+                    args.push(current);
+                    current = '';
+                    inArg = false;
+                }
+            } else {
+                current += char;
+                inArg = true;
+            }
+        }
+
+        if (quote) {
+            throw new Error(`Unclosed ${quote} in arguments`);
+        }
+        if (inArg) {
+            args.push(current);
+        }
+        return args;
+    },
+
+    /**
+     * Parse KEY=value lines; blank lines and # comments are skipped
+     * @param {string} text
+     * @returns {Object<string, string>}
+     */
+    parseEnv(text) {
+        const env = {};
+        text.split('\n').forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) {
+                return;
+            }
+            const separator = trimmed.indexOf('=');
+            const key = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+            if (!ENV_NAME_PATTERN.test(key)) {
+                throw new Error(`Environment line ${index + 1} is not KEY=value: ${trimmed}`);
+            }
+            env[key] = trimmed.slice(separator + 1).trim();
+        });
+        return env;
+    },
+
+    /**
+     * Turn a configuration into what the output worker needs
+     * @param {Object|null} config - null for the default run
+     * @returns {{args: Array<string>, env: Object<string, string>, cwd: string, stdin: string|null}}
+     * @throws {Error} When the arguments or environment do not parse
+     */
+    resolve(config) {
+        if (!config) {
+            return { args: [], env: {}, cwd: '', stdin: null };
+        }
+        return {
+            args: this.splitArgs(config.args),
+            env: this.parseEnv(config.env),
+            cwd: config.cwd.trim(),
+            // An empty preset leaves stdin to the Stdin panel
+            stdin: config.stdin ? config.stdin : null
+        };
+    }
+};
+
+export default RunConfig;
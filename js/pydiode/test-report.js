@@ -0,0 +1,235 @@
+/**
+ * Test Report - Collapsible pass/fail tree for the results of Run Tests
+ */
+
+import { formatDuration } from '../run-history.js';
+
+const OUTCOME_ICONS = {
+    passed: '✓',
+    failed: '✗',
+    error: '!',
+    skipped: '–'
+};
+
+// Listed in the summary in this order
+const OUTCOMES = ['failed', 'error', 'passed', 'skipped'];
+
+/**
+ * @param {Array<Object>} tests
+ * @returns {Object<string, number>} Count per outcome
+ */
+function countOutcomes(tests) {
+    const counts = {};
+    for (const test of tests) {
+        counts[test.outcome] = (counts[test.outcome] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * @param {Object<string, number>} counts
+ * @returns {string} e.g. "1 failed, 4 passed"
+ */
+function describeCounts(counts) {
+    const parts = OUTCOMES
+        .filter((outcome) => counts[outcome])
+        .map((outcome) => `${counts[outcome]} ${outcome === 'error' && counts.error > 1 ? 'errors' : outcome}`);
+    return parts.length ? parts.join(', ') : 'no tests found';
+}
+
+function isBad(outcome) {
+    return outcome === 'failed' || outcome === 'error';
+}
+
+/**
+ * @param {string} text
+ * @param {string} className
+ * @returns {HTMLPreElement}
+ */
+function createBlock(text, className) {
+    const block = document.createElement('pre');
+    block.className = className;
+    block.textContent = text;
+    return block;
+}
+
+/**
+ * ndiff lines, coloured by their marker
+ * @param {string} diff
+ * @returns {HTMLPreElement}
+ */
+function createDiff(diff) {
+    const block = document.createElement('pre');
+    block.className = 'test-diff';
+    for (const line of diff.split('\n')) {
+        const row = document.createElement('div');
+        row.textContent = line;
+        if (line.startsWith('- ')) {
+            row.className = 'test-diff-removed';
+        } else if (line.startsWith('+ ')) {
+            row.className = 'test-diff-added';
+        } else if (line.startsWith('? ')) {
+            row.className = 'test-diff-hint';
+        }
+        block.appendChild(row);
+    }
+    return block;
+}
+
+/**
+ * @param {Object} test - One result from the worker
+ * @param {Object} context
+ * @returns {HTMLElement}
+ */
+function createTestNode(test, context) {
+    const { file, onNavigate, renderTraceback } = context;
+    const hasDetails = Boolean(test.message || test.diff || test.output || test.traceback);
+    const node = document.createElement(hasDetails ? 'details' : 'div');
+    node.className = `test-node test-${test.outcome}`;
+    if (hasDetails && isBad(test.outcome)) {
+        node.open = true;
+    }
+
+    const title = document.createElement(hasDetails ? 'summary' : 'div');
+    title.className = 'test-title';
+
+    const icon = document.createElement('span');
+    icon.className = 'test-icon';
+    icon.textContent = OUTCOME_ICONS[test.outcome] || '?';
+    title.appendChild(icon);
+
+    const name = document.createElement(onNavigate && test.line ? 'a' : 'span');
+    name.className = 'test-name';
+    name.textContent = test.name;
+    if (onNavigate && test.line) {
+        name.href = '#';
+        name.title = `${file}, line ${test.line}`;
+        name.addEventListener('click', (event) => {
+            event.preventDefault();
+            onNavigate({ file, line: test.failureLine || test.line });
+        });
+    }
+    title.appendChild(name);
+
+    const duration = document.createElement('span');
+    duration.className = 'test-duration';
+    duration.textContent = formatDuration(test.durationMs);
+    title.appendChild(duration);
+    node.appendChild(title);
+
+    if (!hasDetails) {
+        return node;
+    }
+    const body = document.createElement('div');
+    body.className = 'test-body';
+    if (test.message) {
+        body.appendChild(createBlock(test.message, 'test-message'));
+    }
+    if (test.diff) {
+        body.appendChild(createDiff(test.diff));
+    }
+    if (test.output) {
+        body.appendChild(createBlock(test.output, 'test-output'));
+    }
+    if (test.traceback) {
+        const traceback = document.createElement('pre');
+        traceback.className = 'test-traceback';
+        traceback.appendChild(renderTraceback(test.traceback));
+        body.appendChild(traceback);
+    }
+    node.appendChild(body);
+    return node;
+}
+
+/**
+ * A collapsible node holding tests, open when any of them failed
+ * @param {string} label
+ * @param {Array<Object>} tests
+ * @param {HTMLElement[]} children
+ * @returns {HTMLDetailsElement}
+ */
+function createGroup(label, tests, children) {
+    const counts = countOutcomes(tests);
+    const failed = (counts.failed || 0) + (counts.error || 0);
+    const group = document.createElement('details');
+    group.className = `test-group ${failed ? 'test-failed' : 'test-passed'}`;
+    group.open = failed > 0;
+
+    const title = document.createElement('summary');
+    title.className = 'test-title';
+    const icon = document.createElement('span');
+    icon.className = 'test-icon';
+    icon.textContent = failed ? OUTCOME_ICONS.failed : OUTCOME_ICONS.passed;
+    const name = document.createElement('span');
+    name.className = 'test-name';
+    name.textContent = label;
+    const count = document.createElement('span');
+    count.className = 'test-duration';
+    count.textContent = describeCounts(counts);
+    title.append(icon, name, count);
+
+    group.appendChild(title);
+    group.append(...children);
+    return group;
+}
+
+/**
+ * Render the results of one Run Tests
+ * @param {Object} results - {tests, error, interrupted} from the worker
+ * @param {Object} context
+ * @param {string} context.file - The tested file
+ * @param {number} context.wallMs - Time the whole run took
+ * @param {Function} context.renderTraceback - Turns a traceback into a node with editor links
+ * @param {Function} [context.onNavigate] - Called with {file, line} when a test name is clicked
+ * @returns {HTMLElement}
+ */
+export function renderTestReport(results, context) {
+    const { file, wallMs, renderTraceback } = context;
+    const tests = results.tests || [];
+    const report = document.createElement('div');
+    report.className = 'test-report';
+
+    const counts = countOutcomes(tests);
+    const summary = document.createElement('div');
+    const failed = results.error || (counts.failed || 0) + (counts.error || 0) > 0;
+    summary.className = `test-summary ${failed ? 'test-failed' : 'test-passed'}`;
+    let text = results.error ? `${file} could not be imported` : `${describeCounts(counts)} in ${formatDuration(wallMs)}`;
+    if (results.interrupted) {
+        text += ' (interrupted; later tests did not run)';
+    }
+    summary.textContent = text;
+    report.appendChild(summary);
+
+    if (results.error) {
+        const traceback = document.createElement('pre');
+        traceback.className = 'test-traceback';
+        traceback.appendChild(renderTraceback(results.error));
+        report.appendChild(traceback);
+        return report;
+    }
+
+    // Test functions directly under the file, TestCase methods under their class
+    const children = [];
+    const groups = new Map();
+    for (const test of tests) {
+        if (!test.group) {
+            children.push(createTestNode(test, context));
+            continue;
+        }
+        if (!groups.has(test.group)) {
+            const group = { tests: [], index: children.length };
+            groups.set(test.group, group);
+            children.push(null);
+        }
+        groups.get(test.group).tests.push(test);
+    }
+    for (const [name, group] of groups) {
+        const nodes = group.tests.map((test) => createTestNode(test, context));
+        children[group.index] = createGroup(name, group.tests, nodes);
+    }
+
+    const root = createGroup(file, tests, children);
+    root.open = true;
+    report.appendChild(root);
+    return report;
+}
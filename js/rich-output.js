@@ -0,0 +1,219 @@
+/**
+ * Rich Output - Renders MIME bundles (_repr_html_, _repr_png_, ...) as safe HTML
+ */
+
+// Preferred representation first
+export const RICH_MIME_ORDER = [
+    'text/html',
+    'image/svg+xml',
+    'image/png',
+    'image/jpeg',
+    'text/markdown',
+    'text/x-pretty'
+];
+
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup',
+    'dd', 'del', 'div', 'dl', 'dt', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'hr', 'i', 'img', 'kbd', 'li', 'ol', 'p', 'pre', 's', 'small', 'span',
+    'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'tr', 'u', 'ul'
+]);
+
+// Dropped together with their contents; other unknown tags are unwrapped
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'form']);
+
+// No class or style: page utility classes could restyle or cover the page
+const ALLOWED_ATTRIBUTES = new Set(['align', 'alt', 'colspan', 'height', 'href', 'rowspan', 'src', 'title', 'valign', 'width']);
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;');
+}
+
+function isSafeURL(value, attribute) {
+    const url = value.trim().toLowerCase();
+    if (attribute === 'src') {
+        return url.startsWith('data:image/');
+    }
+    return url.startsWith('https://') || url.startsWith('http://') || url.startsWith('#');
+}
+
+function cleanNode(node) {
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === Node.COMMENT_NODE) {
+            child.remove();
+            continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        }
+
+        const tag = child.tagName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) {
+            child.remove();
+            continue;
+        }
+        cleanNode(child);
+        if (!ALLOWED_TAGS.has(tag)) {
+            child.replaceWith(...child.childNodes);
+            continue;
+        }
+
+        for (const { name, value } of Array.from(child.attributes)) {
+            const attribute = name.toLowerCase();
+            const keep = ALLOWED_ATTRIBUTES.has(attribute) &&
+                ((attribute !== 'href' && attribute !== 'src') || isSafeURL(value, attribute));
+            if (!keep) {
+                child.removeAttribute(name);
+            }
+        }
+        if (tag === 'a') {
+            child.setAttribute('target', '_blank');
+            child.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+}
+
+/**
+ * Reduce untrusted HTML to an allowlist of tags and attributes
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+    // DOMParser documents are inert: scripts do not run and images do not load
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    cleanNode(doc.body);
+    return doc.body.innerHTML;
+}
+
+function renderInline(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+/**
+ * Render the common subset of Markdown: headings, lists, code and paragraphs
+ * @param {string} text
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(text) {
+    const blocks = [];
+    let list = null;
+    let paragraph = [];
+    let code = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (const line of String(text).split('\n')) {
+        if (code !== null) {
+            if (line.trim().startsWith('```')) {
+                blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+        if (line.trim().startsWith('```')) {
+            flushParagraph();
+            flushList();
+            code = [];
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) {
+                flushList();
+            }
+            list = list || { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+    if (code !== null) {
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    }
+    flushParagraph();
+    flushList();
+
+    return sanitizeHtml(blocks.join(''));
+}
+
+function toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Render the preferred entry of a MIME bundle
+ * @param {Object<string, string>} bundle - MIME type to text; image data is base64
+ * @returns {string|null} Safe HTML, or null if nothing in the bundle is renderable
+ */
+export function renderMimeBundle(bundle) {
+    const mime = RICH_MIME_ORDER.find((type) => bundle && typeof bundle[type] === 'string');
+    if (!mime) {
+        return null;
+    }
+    const data = bundle[mime];
+
+    switch (mime) {
+        case 'text/html':
+            return sanitizeHtml(data);
+        case 'image/svg+xml':
+            // As an <img>, SVG cannot run scripts or reach the page
+            return `<img src="data:image/svg+xml;base64,${toBase64(data)}" alt="SVG output">`;
+        case 'image/png':
+        case 'image/jpeg': {
+            const base64 = data.replace(/\s/g, '');
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) {
+                return null;
+            }
+            return `<img src="data:${mime};base64,${base64}" alt="Image output">`;
+        }
+        case 'text/markdown':
+            return renderMarkdown(data);
+        default:
+            return `<pre>${escapeHtml(data)}</pre>`;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Run History - Timing and memory of recent runs, kept per editor in localStorage,
+ * and the History button and panel of the output windows that show them
+ */
+
+import CodeStorage from './code-storage.js';
+
+const HISTORY_LIMIT = 20;
+
+// Wall-time changes smaller than this are noise, not regressions
+const CHANGE_THRESHOLD = 0.2;
+
+/**
+ * @param {number} ms
+ * @returns {string} e.g. "850 ms", "1.25 s", "2 min 5 s"
+ */
+export function formatDuration(ms) {
+    if (ms < 1000) {
+        return `${Math.round(ms)} ms`;
+    }
+    if (ms < 60000) {
+        return `${(ms / 1000).toFixed(2)} s`;
+    }
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "512 KB", "24.0 MB"
+ */
+export function formatBytes(bytes) {
+    const sign = bytes < 0 ? '-' : '';
+    const size = Math.abs(bytes);
+    if (size < 1024 * 1024) {
+        return `${sign}${Math.round(size / 1024)} KB`;
+    }
+    return `${sign}${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One-line summary of a run's metrics for the output footer
+ * @param {Object} metrics - wallMs, and optionally compileMs, packagesMs,
+ *   inputWaitMs, memoryBytes and memoryGrowthBytes
+ * @returns {string}
+ */
+export function formatMetrics(metrics) {
+    const parts = [`Ran in ${formatDuration(metrics.wallMs)}`];
+    if (metrics.inputWaitMs >= 1) {
+        parts[0] += ` (${formatDuration(metrics.inputWaitMs)} waiting for input)`;
+    }
+    if (metrics.compileMs !== undefined) {
+        parts.push(`compile ${formatDuration(metrics.compileMs)}`);
+    }
+    if (metrics.packagesMs >= 1) {
+        parts.push(`packages ${formatDuration(metrics.packagesMs)}`);
+    }
+    if (metrics.memoryBytes !== undefined) {
+        const growth = metrics.memoryGrowthBytes ? ` (+${formatBytes(metrics.memoryGrowthBytes)})` : '';
+        parts.push(`${metrics.memoryLabel || 'memory'} ${formatBytes(metrics.memoryBytes)}${growth}`);
+    }
+    return parts.join(' · ');
+}
+
+class RunHistory {
+    /**
+     * @param {string} storageKey - localStorage key of this editor's history
+     */
+    constructor(storageKey) {
+        this.storage = new CodeStorage(storageKey);
+        this._entries = null;
+        this.panel = null;
+    }
+
+    /**
+     * @returns {Array<Object>} Recorded runs, oldest first; read from storage on first use
+     */
+    get entries() {
+        if (!this._entries) {
+            const stored = this.storage.loadJSON();
+            this._entries = Array.isArray(stored)
+                ? stored.filter((entry) => entry && Number.isFinite(entry.wallMs)).slice(-HISTORY_LIMIT)
+                : [];
+        }
+        return this._entries;
+    }
+
+    set entries(entries) {
+        this._entries = entries;
+    }
+
+    /**
+     * Build the History button of an output toolbar and the panel it toggles.
+     * The panel follows new runs while it is open
+     * @returns {{button: HTMLButtonElement, panel: HTMLElement}}
+     */
+    createControls() {
+        const button = document.createElement('button');
+        button.className = 'output-history-btn';
+        button.textContent = 'History';
+        button.title = 'Timing and memory of recent runs';
+
+        const panel = document.createElement('div');
+        panel.className = 'output-history-panel hidden';
+        button.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            button.classList.toggle('is-active', !panel.classList.contains('hidden'));
+            this.refresh();
+        });
+
+        this.panel = panel;
+        return { button, panel };
+    }
+
+    /**
+     * Redraw the panel if it is open
+     */
+    refresh() {
+        if (!this.panel || this.panel.classList.contains('hidden')) {
+            return;
+        }
+        this.panel.innerHTML = '';
+
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'output-history-clear';
+        clearBtn.textContent = 'Clear history';
+        clearBtn.addEventListener('click', () => this.clear());
+        this.panel.appendChild(clearBtn);
+        this.panel.appendChild(this.render());
+
+        const note = document.createElement('div');
+        note.className = 'run-history-note';
+        note.textContent = 'Times are wall-clock. Browsers do not expose CPU time to scripts, so it is not recorded.';
+        this.panel.appendChild(note);
+    }
+
+    /**
+     * Record a finished run
+     * @param {Object} metrics - As for formatMetrics()
+     * @param {number} exitCode
+     */
+    add(metrics, exitCode) {
+        this.entries.push({ ...metrics, exitCode, finishedAt: Date.now() });
+        this.entries = this.entries.slice(-HISTORY_LIMIT);
+        this.storage.saveJSON(this.entries);
+        this.refresh();
+    }
+
+    clear() {
+        this.entries = [];
+        this.storage.clear();
+        this.refresh();
+    }
+
+    /**
+     * Render the history as a table, newest run first
+     * @returns {HTMLElement}
+     */
+    render() {
+        if (!this.entries.length) {
+            const empty = document.createElement('div');
+            empty.className = 'run-history-empty';
+            empty.textContent = 'No runs yet';
+            return empty;
+        }
+
+        const hasCompile = this.entries.some((entry) => entry.compileMs !== undefined);
+        const hasMemory = this.entries.some((entry) => entry.memoryBytes !== undefined);
+        const columns = ['Finished', 'Exit', 'Wall time', 'Change'];
+        if (hasCompile) {
+            columns.push('Compile');
+        }
+        if (hasMemory) {
+            columns.push('Memory');
+        }
+
+        const table = document.createElement('table');
+        table.className = 'run-history-table';
+        const head = table.createTHead().insertRow();
+        for (const title of columns) {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            head.appendChild(cell);
+        }
+
+        const body = table.createTBody();
+        for (let index = this.entries.length - 1; index >= 0; index--) {
+            const entry = this.entries[index];
+            const previous = this.entries[index - 1];
+            const row = body.insertRow();
+            const addCell = (text, className = '') => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+                if (className) {
+                    cell.className = className;
+                }
+            };
+
+            addCell(new Date(entry.finishedAt).toLocaleTimeString());
+            addCell(String(entry.exitCode), entry.exitCode === 0 ? '' : 'run-history-failed');
+            addCell(formatDuration(entry.wallMs));
+            if (previous && previous.wallMs > 0) {
+                const change = (entry.wallMs - previous.wallMs) / previous.wallMs;
+                const className = change > CHANGE_THRESHOLD ? 'run-history-slower'
+                    : change < -CHANGE_THRESHOLD ? 'run-history-faster' : '';
+                addCell(`${change >= 0 ? '+' : ''}${Math.round(change * 100)}%`, className);
+            } else {
+                addCell('');
+            }
+            if (hasCompile) {
+                addCell(entry.compileMs !== undefined ? formatDuration(entry.compileMs) : '');
+            }
+            if (hasMemory) {
+                addCell(entry.memoryBytes !== undefined ? formatBytes(entry.memoryBytes) : '');
+            }
+        }
+        return table;
+    }
+}
+
+export default RunHistory;
@@ -0,0 +1,167 @@
+/**
+ * Run Watchdog - Per-run time limit for the output workers
+ * Tries a soft interrupt first and kills the worker if the run ignores it
+ */
+
+import CodeStorage from './code-storage.js';
+import DebugLogger from './debug-logger.js';
+
+// Seconds offered in the editor toolbars; 0 means no limit
+export const TIME_LIMIT_CHOICES = [0, 5, 10, 30, 60, 300];
+export const DEFAULT_TIME_LIMIT = 60;
+
+// How long an interrupted run gets to wind down before its worker is killed
+const GRACE_MS = 2000;
+
+/**
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimeLimit(seconds) {
+    if (!seconds) {
+        return 'None';
+    }
+    return seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds} s`;
+}
+
+/**
+ * Build the time limit select of an editor toolbar, remembering the choice
+ * @param {string} storageKey - localStorage key for the choice
+ * @returns {HTMLLabelElement} Label wrapping the select
+ */
+export function createTimeLimitControl(storageKey) {
+    const storage = new CodeStorage(storageKey);
+    const stored = Number(storage.load());
+    const current = storage.has() && TIME_LIMIT_CHOICES.includes(stored) ? stored : DEFAULT_TIME_LIMIT;
+
+    const label = document.createElement('label');
+    label.className = 'editor-time-limit';
+    label.textContent = 'Limit';
+
+    const select = document.createElement('select');
+    select.className = 'editor-time-limit-select';
+    select.title = 'Stop runs that take longer than this. Time waiting for input does not count.';
+    for (const seconds of TIME_LIMIT_CHOICES) {
+        const option = document.createElement('option');
+        option.value = String(seconds);
+        option.textContent = formatTimeLimit(seconds);
+        select.appendChild(option);
+    }
+    select.value = String(current);
+    select.addEventListener('change', () => storage.save(select.value));
+
+    label.appendChild(select);
+    return label;
+}
+
+class RunWatchdog {
+    /**
+     * @param {Object} options
+     * @param {number} options.limitSeconds - 0 disables the watchdog
+     * @param {Function} options.onInterrupt - Soft stop; returns false when the worker cannot be interrupted
+     * @param {Function} options.onKill - Hard stop once the grace period is over
+     */
+    constructor({ limitSeconds, onInterrupt, onKill }) {
+        this.limitSeconds = limitSeconds;
+        this.onInterrupt = onInterrupt;
+        this.onKill = onKill;
+        this.remainingMs = limitSeconds * 1000;
+        this.timer = null;
+        this.resumedAt = 0;
+        this.active = false;
+        this.expired = false;
+    }
+
+    start() {
+        if (this.limitSeconds > 0) {
+            this.active = true;
+            this.resume();
+        }
+    }
+
+    /**
+     * Stop counting, e.g. while the run waits for input
+     */
+    pause() {
+        if (!this.active || this.expired || !this.timer) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.remainingMs -= performance.now() - this.resumedAt;
+    }
+
+    resume() {
+        if (!this.active || this.expired || this.timer) {
+            return;
+        }
+        this.resumedAt = performance.now();
+        this.timer = setTimeout(() => this.expire(), Math.max(0, this.remainingMs));
+    }
+
+    expire() {
+        this.expired = true;
+        if (this.onInterrupt() === false) {
+            this.kill();
+            return;
+        }
+        this.timer = setTimeout(() => this.kill(), GRACE_MS);
+    }
+
+    kill() {
+        const wasActive = this.active;
+        this.stop();
+        if (wasActive) {
+            this.onKill();
+        }
+    }
+
+    /**
+     * The run finished; cancel any pending interrupt or kill
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.active = false;
+    }
+}
+
+/**
+ * Guard an output window's run with a watchdog. When the run outlasts its
+ * limit, the output's interrupt step runs first; if the run is still going
+ * after the grace period, the worker is killed and started again
+ * @param {Object} output - PythonOutput or TypeScriptOutput; its watchdog,
+ *   append(), terminateWorker() and init() are used
+ * @param {number} seconds - 0 for no limit
+ * @param {Object} options
+ * @param {string} options.runtime - Named in the messages, e.g. "Python"
+ * @param {Function} options.interrupt - Called with the formatted limit;
+ *   returns false when the worker cannot be interrupted
+ */
+export function startRunWatchdog(output, seconds, { runtime, interrupt }) {
+    stopRunWatchdog(output);
+    const limit = formatTimeLimit(seconds);
+    output.watchdog = new RunWatchdog({
+        limitSeconds: seconds,
+        onInterrupt: () => interrupt(limit),
+        onKill: () => {
+            output.terminateWorker();
+            output.append(`Run killed for exceeding the ${limit} time limit; the ${runtime} runtime is restarting`, 'exception');
+            output.append('Process exited with code 137', 'exit');
+            output.init().catch((error) => DebugLogger.log(`${runtime} worker restart failed: ${error.message}`));
+        }
+    });
+    output.watchdog.start();
+}
+
+/**
+ * @param {Object} output - As for startRunWatchdog()
+ */
+export function stopRunWatchdog(output) {
+    if (output.watchdog) {
+        output.watchdog.stop();
+        output.watchdog = null;
+    }
+}
+
+export default RunWatchdog;
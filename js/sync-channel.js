@@ -0,0 +1,108 @@
+/**
+ * SyncChannel - Blocking text channel from the main thread into a worker
+ * Backed by a SharedArrayBuffer, so it needs a cross-origin isolated page
+ */
+
+const HEADER_BYTES = 8;
+const STATE_INDEX = 0;
+const LENGTH_INDEX = 1;
+const DEFAULT_CAPACITY = 64 * 1024;
+
+export const ChannelState = {
+    IDLE: 0,
+    WAITING: 1,
+    READY: 2,
+    CLOSED: 3,
+    INTERRUPTED: 4
+};
+
+class SyncChannel {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.header = new Int32Array(buffer, 0, 2);
+        this.data = new Uint8Array(buffer, HEADER_BYTES);
+    }
+
+    static isSupported() {
+        return typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+    }
+
+    static create(capacity = DEFAULT_CAPACITY) {
+        return new SyncChannel(new SharedArrayBuffer(HEADER_BYTES + capacity));
+    }
+
+    /**
+     * Worker side: mark the channel as waiting before asking for input
+     */
+    prepare() {
+        Atomics.store(this.header, LENGTH_INDEX, 0);
+        Atomics.store(this.header, STATE_INDEX, ChannelState.WAITING);
+    }
+
+    /**
+     * Worker side: block until the main thread answers
+     * @returns {{state: number, text: string}}
+     */
+    wait() {
+        Atomics.wait(this.header, STATE_INDEX, ChannelState.WAITING);
+        const state = Atomics.load(this.header, STATE_INDEX);
+        let text = '';
+        if (state === ChannelState.READY) {
+            const length = Atomics.load(this.header, LENGTH_INDEX);
+            // TextDecoder refuses views on shared memory, so copy first
+            text = new TextDecoder().decode(this.data.slice(0, length));
+        }
+        Atomics.store(this.header, STATE_INDEX, ChannelState.IDLE);
+        return { state, text };
+    }
+
+    /**
+     * Main thread: check whether the worker is blocked on this channel
+     * @returns {boolean}
+     */
+    isWaiting() {
+        return Atomics.load(this.header, STATE_INDEX) === ChannelState.WAITING;
+    }
+
+    /**
+     * Main thread: hand text to the waiting worker
+     * @param {string} text
+     * @returns {boolean} False if the worker was not waiting
+     */
+    write(text) {
+        if (!this.isWaiting()) {
+            return false;
+        }
+        const bytes = new TextEncoder().encode(String(text)).subarray(0, this.data.length);
+        this.data.set(bytes);
+        Atomics.store(this.header, LENGTH_INDEX, bytes.length);
+        return this._release(ChannelState.READY);
+    }
+
+    /**
+     * Main thread: signal end of input
+     * @returns {boolean}
+     */
+    close() {
+        return this._release(ChannelState.CLOSED);
+    }
+
+    /**
+     * Main thread: wake the worker without input so it can raise an interrupt
+     * @returns {boolean}
+     */
+    interrupt() {
+        return this._release(ChannelState.INTERRUPTED);
+    }
+
+    _release(state) {
+        const previous = Atomics.compareExchange(this.header, STATE_INDEX, ChannelState.WAITING, state);
+        if (previous !== ChannelState.WAITING) {
+            return false;
+        }
+        Atomics.notify(this.header, STATE_INDEX);
+        return true;
+    }
+}
+
+export default SyncChannel;
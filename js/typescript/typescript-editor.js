@@ -5,13 +5,16 @@
 import CodeStorage from '../code-storage.js';
 import KeyBindings from '../keybindings.js';
 import DebugLogger from '../debug-logger.js';
+import { createTimeLimitControl, DEFAULT_TIME_LIMIT } from '../run-watchdog.js';
 
 const TypeScriptEditor = {
     editor: null,
     _onResize: null,
     _onChange: null,
     runBtn: null,
+    profileBtn: null,
     saveBtn: null,
+    timeLimitSelect: null,
     statusEl: null,
     storage: null,
     saveToLocal: false,
@@ -26,6 +29,7 @@ const TypeScriptEditor = {
         const {
             initialText = '',
             onRun = null,
+            onProfile = null,
             storageKey = 'typescriptEditorCode'
         } = options;
 
@@ -48,10 +52,17 @@ const TypeScriptEditor = {
         runBtn.textContent = 'Run';
         runBtn.disabled = !onRun;
 
+        const profileBtn = document.createElement('button');
+        profileBtn.className = 'editor-profile-btn';
+        profileBtn.textContent = 'Profile';
+        profileBtn.title = 'Run with every function timed and list the ones that took the most time';
+
         const saveBtn = document.createElement('button');
         saveBtn.className = 'editor-save-btn';
         saveBtn.textContent = 'Save';
 
+        const timeLimitLabel = createTimeLimitControl('typescriptEditorTimeLimit');
+
         const statusEl = document.createElement('div');
         statusEl.className = 'editor-status';
         statusEl.textContent = '';
@@ -59,7 +70,11 @@ const TypeScriptEditor = {
         const leftGroup = document.createElement('div');
         leftGroup.className = 'editor-toolbar-left';
         leftGroup.appendChild(runBtn);
+        if (onProfile) {
+            leftGroup.appendChild(profileBtn);
+        }
         leftGroup.appendChild(saveBtn);
+        leftGroup.appendChild(timeLimitLabel);
 
         toolbar.appendChild(leftGroup);
         toolbar.appendChild(statusEl);
@@ -107,7 +122,9 @@ const TypeScriptEditor = {
         this.editor.session.on('change', this._onChange);
 
         this.runBtn = runBtn;
+        this.profileBtn = profileBtn;
         this.saveBtn = saveBtn;
+        this.timeLimitSelect = timeLimitLabel.querySelector('select');
         this.statusEl = statusEl;
         this.setStatus(onRun ? 'Ready' : 'Not ready');
 
@@ -131,16 +148,15 @@ const TypeScriptEditor = {
             this.toggleSaveToLocal();
         });
 
-        runBtn.addEventListener('click', async () => {
-            if (!onRun || runBtn.disabled) {
-                return;
-            }
-
+        // Run and Profile share the output worker, so one blocks the other
+        const runWith = async (button, action) => {
+            const label = button.textContent;
             try {
                 runBtn.disabled = true;
-                runBtn.textContent = 'Running...';
+                profileBtn.disabled = true;
+                button.textContent = 'Running...';
                 this.setStatus('Running...');
-                const result = onRun();
+                const result = action();
                 if (result && typeof result.then === 'function') {
                     await result;
                 }
@@ -148,9 +164,22 @@ const TypeScriptEditor = {
                 DebugLogger.log(`Editor run interrupted: ${error.message}`);
             } finally {
                 runBtn.disabled = false;
-                runBtn.textContent = 'Run';
+                profileBtn.disabled = false;
+                button.textContent = label;
                 this.setStatus('Ready');
             }
+        };
+
+        runBtn.addEventListener('click', () => {
+            if (onRun && !runBtn.disabled) {
+                runWith(runBtn, onRun);
+            }
+        });
+
+        profileBtn.addEventListener('click', () => {
+            if (onProfile && !profileBtn.disabled) {
+                runWith(profileBtn, onProfile);
+            }
         });
 
         this._onResize = () => {
@@ -172,6 +201,42 @@ const TypeScriptEditor = {
         return this.editor.getValue();
     },
 
+    /**
+     * Seconds a run may take before it is stopped; 0 for no limit
+     * @returns {number}
+     */
+    getTimeLimit() {
+        return this.timeLimitSelect ? Number(this.timeLimitSelect.value) : DEFAULT_TIME_LIMIT;
+    },
+
+    /**
+     * Move the cursor to a location and focus the editor
+     * @param {{line: number, column?: number}} location - 1-based position
+     */
+    goTo(location) {
+        if (!this.editor) {
+            return;
+        }
+        this.editor.gotoLine(location.line, Math.max(0, (location.column || 1) - 1), true);
+        this.editor.focus();
+    },
+
+    /**
+     * Mark error locations in the gutter
+     * @param {Array<{line: number, column?: number, message: string}>} errors - Empty to clear
+     */
+    setErrors(errors) {
+        if (!this.editor) {
+            return;
+        }
+        this.editor.session.setAnnotations(errors.map((error) => ({
+            row: error.line - 1,
+            column: Math.max(0, (error.column || 1) - 1),
+            text: error.message,
+            type: 'error'
+        })));
+    },
+
     /**
      * Toggle auto-save to localStorage
      */
@@ -232,7 +297,9 @@ const TypeScriptEditor = {
             this.editor = null;
         }
         this.runBtn = null;
+        this.profileBtn = null;
         this.saveBtn = null;
+        this.timeLimitSelect = null;
         this.statusEl = null;
         this.storage = null;
         this.saveToLocal = false;
@@ -12,6 +12,12 @@ let idleResolve = null;
 let idlePromise = null;
 let idleTimer = null;
 let originalTimers = null;
+// When the last timer of the run finished; the idle check adds its own delay
+let lastTaskAt = null;
+// Rejects the current run; only reachable while the run is waiting on timers
+let interruptRun = null;
+// Timings of the current Profile run, or null for a plain run
+let profiler = null;
 const activeTimeouts = new Set();
 const activeIntervals = new Set();
 
@@ -19,8 +25,8 @@ function postStatus(message) {
     self.postMessage({ type: 'status', message });
 }
 
-function postError(message) {
-    self.postMessage({ type: 'error', message });
+function postError(message, diagnostics = null, metrics = null) {
+    self.postMessage({ type: 'error', message, diagnostics, metrics });
 }
 
 function patchConsole() {
@@ -111,6 +117,7 @@ function wrapTimers() {
 function updatePending(delta) {
     pendingTasks = Math.max(0, pendingTasks + delta);
     if (pendingTasks === 0) {
+        lastTaskAt = performance.now();
         scheduleIdleResolve();
     } else if (idleTimer && originalTimers) {
         originalTimers.clearTimeout(idleTimer);
@@ -161,6 +168,7 @@ function resetPendingTasks() {
     activeTimeouts.clear();
     activeIntervals.clear();
     pendingTasks = 0;
+    lastTaskAt = null;
     if (idleTimer) {
         originalTimers.clearTimeout(idleTimer);
         idleTimer = null;
@@ -196,7 +204,7 @@ function loadTypeScript() {
     }
     postStatus('Loading TypeScript compiler...');
     try {
-        const compilerUrl = new URL('../vendor/ts-compiler/typescript.js', self.location.href).toString();
+        const compilerUrl = new URL('../vendor/ts-compiler/typescript.min.js', self.location.href).toString();
         importScripts(compilerUrl);
         tsCompiler = self.ts;
         if (!tsCompiler) {
@@ -205,7 +213,7 @@ function loadTypeScript() {
         postStatus('TypeScript compiler ready (local)');
     } catch (error) {
         throw new Error(
-            `Failed to load local TypeScript compiler (js/vendor/ts-compiler/typescript.js). ${error && error.message ? error.message : String(error)}`
+            `Failed to load local TypeScript compiler (js/vendor/ts-compiler/typescript.min.js). ${error && error.message ? error.message : String(error)}`
         );
     }
 }
@@ -276,6 +284,21 @@ function formatDiagnostics(diagnostics, fileName) {
     }).join('\n');
 }
 
+// Error locations for the editor gutter, 1-based like the formatted text
+function getDiagnosticLocations(diagnostics) {
+    return (diagnostics || [])
+        .filter((diagnostic) => diagnostic.category === tsCompiler.DiagnosticCategory.Error &&
+            diagnostic.file && typeof diagnostic.start === 'number')
+        .map((diagnostic) => {
+            const position = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+            return {
+                line: position.line + 1,
+                column: position.character + 1,
+                message: tsCompiler.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+            };
+        });
+}
+
 function hasErrorDiagnostics(diagnostics) {
     return (diagnostics || []).some((diagnostic) => diagnostic.category === tsCompiler.DiagnosticCategory.Error);
 }
@@ -295,26 +318,257 @@ async function executeModule(js) {
     }
 }
 
+// Instrumented code reports to this global while a Profile run is timed
+const PROFILER_GLOBAL = '__playgroundProfiler';
+
+/**
+ * Functions the profiler times: ones with a body that run to completion.
+ * Async functions and generators suspend, so their time would land on
+ * whatever ran in between; constructors must keep super() first
+ * @param {Object} node - TypeScript AST node
+ * @returns {boolean}
+ */
+function isProfiledFunction(node) {
+    const ts = tsCompiler;
+    if (!(ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node) ||
+        ts.isMethodDeclaration(node) || ts.isGetAccessorDeclaration(node) || ts.isSetAccessorDeclaration(node))) {
+        return false;
+    }
+    const isAsync = (ts.getCombinedModifierFlags(node) & ts.ModifierFlags.Async) !== 0;
+    return Boolean(node.body) && !node.asteriskToken && !isAsync;
+}
+
+/**
+ * The name a function is known by, e.g. "area", "Shape.area" or "<anonymous>"
+ * @param {Object} node - A function node
+ * @param {Object} sourceFile
+ * @returns {string}
+ */
+function profiledName(node, sourceFile) {
+    const ts = tsCompiler;
+    const nameOf = (named) => (named && named.name && !ts.isComputedPropertyName(named.name)
+        ? named.name.getText(sourceFile)
+        : null);
+    const parent = node.parent;
+    let name = nameOf(node);
+    if (!name && parent && (ts.isVariableDeclaration(parent) || ts.isPropertyAssignment(parent) || ts.isPropertyDeclaration(parent))) {
+        name = nameOf(parent);
+    }
+    if (!name && parent && ts.isBinaryExpression(parent) && parent.right === node) {
+        name = parent.left.getText(sourceFile);
+    }
+    if (!name) {
+        return '<anonymous>';
+    }
+    // Methods, accessors and arrow-function fields are listed under their class
+    const member = ts.isClassElement(node) ? node : (parent && ts.isPropertyDeclaration(parent) ? parent : null);
+    const owner = member && member.parent && ts.isClassLike(member.parent) && member.parent.name
+        ? `${member.parent.name.text}.`
+        : '';
+    const accessor = ts.isGetAccessorDeclaration(node) ? 'get ' : ts.isSetAccessorDeclaration(node) ? 'set ' : '';
+    return `${accessor}${owner}${name}`;
+}
+
+/**
+ * Wrap each profiled function body in enter/exit calls. The text is inserted
+ * without new lines, so lines in the output still match the editor
+ * @param {string} source
+ * @param {string} fileName
+ * @returns {{source: string, functions: Array<{name: string, line: number}>}}
+ *   functions[0] stands for the top level
+ */
+function instrumentSource(source, fileName) {
+    const ts = tsCompiler;
+    const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+    const functions = [{ name: '(top level)', line: 1 }];
+    const edits = [];
+
+    const visit = (node, depth) => {
+        let childDepth = depth;
+        if (isProfiledFunction(node)) {
+            const id = functions.length;
+            const start = (node.name || node).getStart(sourceFile);
+            functions.push({
+                name: profiledName(node, sourceFile),
+                line: sourceFile.getLineAndCharacterOfPosition(start).line + 1
+            });
+            const enter = `${PROFILER_GLOBAL}.enter(${id});try{`;
+            const exit = `}finally{${PROFILER_GLOBAL}.exit(${id})}`;
+            if (ts.isBlock(node.body)) {
+                // After the "use strict" prologue, which must stay first
+                let at = node.body.getStart(sourceFile) + 1;
+                for (const statement of node.body.statements) {
+                    if (!ts.isExpressionStatement(statement) || !ts.isStringLiteral(statement.expression)) {
+                        break;
+                    }
+                    at = statement.end;
+                }
+                edits.push({ at, text: enter, depth, closing: false });
+                edits.push({ at: node.body.end - 1, text: exit, depth, closing: true });
+            } else {
+                edits.push({ at: node.body.getStart(sourceFile), text: `{${enter}return (`, depth, closing: false });
+                edits.push({ at: node.body.end, text: `);${exit}}`, depth, closing: true });
+            }
+            childDepth = depth + 1;
+        }
+        ts.forEachChild(node, (child) => visit(child, childDepth));
+    };
+    visit(sourceFile, 0);
+
+    // Where nested functions end together, the inner one closes first
+    edits.sort((a, b) => a.at - b.at || (a.closing ? b.depth - a.depth : a.depth - b.depth));
+    let output = '';
+    let lastIndex = 0;
+    for (const edit of edits) {
+        output += source.slice(lastIndex, edit.at) + edit.text;
+        lastIndex = edit.at;
+    }
+    return { source: output + source.slice(lastIndex), functions };
+}
+
+/**
+ * Collect call counts and times of instrumented functions, like cProfile:
+ * own time leaves out the calls a function makes, and cumulative time
+ * counts the outermost of recursive calls only
+ * @param {Array<{name: string, line: number}>} functions
+ * @returns {Object}
+ */
+function createProfiler(functions) {
+    const stats = functions.map(() => ({ calls: 0, primitiveCalls: 0, totalMs: 0, cumulativeMs: 0 }));
+    const active = functions.map(() => 0);
+    const stack = [];
+
+    return {
+        enter(id) {
+            active[id]++;
+            stack.push({ id, start: performance.now(), childMs: 0 });
+        },
+
+        exit(id) {
+            const frame = stack.pop();
+            const elapsed = performance.now() - frame.start;
+            const entry = stats[id];
+            active[id]--;
+            entry.calls++;
+            entry.totalMs += elapsed - frame.childMs;
+            if (active[id] === 0) {
+                entry.primitiveCalls++;
+                entry.cumulativeMs += elapsed;
+            }
+            if (stack.length) {
+                stack[stack.length - 1].childMs += elapsed;
+            }
+        },
+
+        /**
+         * @returns {Object} {rows, hidden, totalMs} for the hotspot table
+         */
+        report() {
+            const rows = functions
+                .map((fn, id) => ({
+                    name: fn.name,
+                    source: `line ${fn.line}`,
+                    target: { line: fn.line },
+                    ...stats[id]
+                }))
+                .filter((row) => row.calls > 0)
+                .sort((a, b) => b.cumulativeMs - a.cumulativeMs);
+            return {
+                rows,
+                hidden: 0,
+                totalMs: rows.reduce((sum, row) => sum + row.totalMs, 0)
+            };
+        }
+    };
+}
+
 function executeScript(js) {
     (0, eval)(`${js}\n//# sourceURL=ts-output.js`);
 }
 
-async function runSource(source) {
+// Only Chromium exposes heap size, and not in every worker
+function usedHeapBytes() {
+    return self.performance && self.performance.memory ? self.performance.memory.usedJSHeapSize : undefined;
+}
+
+/**
+ * Stop waiting on the run's timers and fail it with exit code 130
+ */
+function interrupt() {
+    if (!interruptRun) {
+        return;
+    }
+    resetPendingTasks();
+    const error = new Error('Interrupted: the run exceeded its time limit');
+    error.interrupted = true;
+    interruptRun(error);
+    interruptRun = null;
+}
+
+/**
+ * Compile and run a script until its timers are done
+ * @param {string} source
+ * @param {Object} metrics - Filled with compileMs, wallMs and heap sizes,
+ *   also when the run throws
+ * @param {boolean} [profile] - Time every function; the timings are left in profiler
+ */
+async function runSource(source, metrics, profile = false) {
     const fileName = 'output.ts';
+    const compileStart = performance.now();
     const isModule = isExternalModuleSource(source, fileName);
     const result = compileSource(source, fileName);
+    metrics.compileMs = performance.now() - compileStart;
     if (hasErrorDiagnostics(result.diagnostics)) {
         const errorText = formatDiagnostics(result.diagnostics, fileName);
-        throw new Error(errorText || 'TypeScript compile error');
+        const error = new Error(errorText || 'TypeScript compile error');
+        error.diagnostics = getDiagnosticLocations(result.diagnostics);
+        throw error;
     }
 
-    if (isModule) {
-        await executeModule(result.outputText);
-    } else {
-        const value = executeScript(result.outputText);
+    let outputText = result.outputText;
+    if (profile) {
+        // Diagnostics come from the source as written; only the run is instrumented
+        const instrumented = instrumentSource(source, fileName);
+        outputText = compileSource(instrumented.source, fileName).outputText;
+        profiler = createProfiler(instrumented.functions);
+        self[PROFILER_GLOBAL] = profiler;
+    }
+
+    const heapBefore = usedHeapBytes();
+    const runStart = performance.now();
+    try {
+        if (profiler) {
+            profiler.enter(0);
+        }
+        let value;
+        try {
+            if (isModule) {
+                await executeModule(outputText);
+            } else {
+                value = executeScript(outputText);
+            }
+        } finally {
+            // The top level ends with its synchronous code; waiting is not its time
+            if (profiler) {
+                profiler.exit(0);
+            }
+        }
         if (value && typeof value.then === 'function') {
             await value;
         }
+        const executedAt = performance.now();
+        await waitForIdle();
+        metrics.wallMs = Math.max(executedAt, lastTaskAt || 0) - runStart;
+    } finally {
+        if (metrics.wallMs === undefined) {
+            metrics.wallMs = performance.now() - runStart;
+        }
+        const heapAfter = usedHeapBytes();
+        if (heapAfter !== undefined) {
+            metrics.memoryBytes = heapAfter;
+            metrics.memoryGrowthBytes = Math.max(0, heapAfter - heapBefore);
+            metrics.memoryLabel = 'JS heap';
+        }
     }
 }
 
@@ -340,19 +594,40 @@ self.onmessage = async function (event) {
                 postError('TypeScript runtime not initialized');
                 return;
             }
+            const metrics = {};
+            const startedAt = performance.now();
+            const interrupted = new Promise((resolve, reject) => {
+                interruptRun = reject;
+            });
             try {
                 resetPendingTasks();
+                profiler = null;
                 const code = String(data && data.code ? data.code : '');
-                await runSource(code);
-                await waitForIdle();
-                self.postMessage({ type: 'result', exception: '', exitCode: 0 });
+                await Promise.race([runSource(code, metrics, Boolean(data && data.profile)), interrupted]);
+                const profile = profiler ? profiler.report() : null;
+                self.postMessage({ type: 'result', exception: '', exitCode: 0, metrics, profile });
             } catch (error) {
-                postError(error && error.message ? error.message : String(error));
+                if (error && error.interrupted) {
+                    metrics.wallMs = performance.now() - startedAt;
+                    const profile = profiler ? profiler.report() : null;
+                    self.postMessage({ type: 'result', exception: error.message, exitCode: 130, metrics, profile });
+                    return;
+                }
+                postError(
+                    error && error.message ? error.message : String(error),
+                    error && error.diagnostics,
+                    metrics.wallMs !== undefined ? metrics : null
+                );
             } finally {
+                interruptRun = null;
                 self.postMessage({ type: 'done' });
             }
             break;
 
+        case 'interrupt':
+            interrupt();
+            break;
+
         default:
             break;
     }
@@ -5,6 +5,13 @@
 import DebugLogger from '../debug-logger.js';
 import WindowManager from '../window-manager.js';
 import KeyBindings from '../keybindings.js';
+import { linkifyLocations } from '../output-links.js';
+import RunHistory, { formatMetrics } from '../run-history.js';
+import { startRunWatchdog, stopRunWatchdog } from '../run-watchdog.js';
+import { renderProfileReport } from '../profile-report.js';
+
+// Compile diagnostics, formatted as "output.ts (line,column): message"
+const DIAGNOSTIC_PATTERN = /output\.ts \((\d+),(\d+)\)/g;
 
 const TypeScriptOutput = {
     worker: null,
@@ -14,8 +21,12 @@ const TypeScriptOutput = {
     outputEl: null,
     statusEl: null,
     clearBtn: null,
+    history: new RunHistory('typescriptRunHistory'),
+    watchdog: null,
     currentStatus: 'Idle',
     _onStatus: null,
+    _onNavigate: null,
+    _onErrors: null,
     _runResolve: null,
     _runReject: null,
     _runPromise: null,
@@ -41,7 +52,7 @@ const TypeScriptOutput = {
             this.worker = new Worker(new URL('./typescript-output-worker.js', import.meta.url));
 
             this.worker.onmessage = (event) => {
-                const { type, message, exception, exitCode, stream, text } = event.data;
+                const { type, message, exception, exitCode, stream, text, diagnostics, metrics, profile } = event.data;
 
                 switch (type) {
                     case 'status':
@@ -65,6 +76,12 @@ const TypeScriptOutput = {
                             this.append(exception, 'exception');
                         }
                         this.append(`Process exited with code ${exitCode}`, 'exit');
+                        if (metrics) {
+                            this.recordRun(metrics, exitCode);
+                        }
+                        if (profile) {
+                            this.appendProfile(profile);
+                        }
                         break;
 
                     case 'stream':
@@ -75,8 +92,14 @@ const TypeScriptOutput = {
                     case 'error':
                         this.ensureWindow();
                         this.clear();
-                        this.append(message, 'exception');
+                        this.appendDiagnostics(message);
+                        if (this._onErrors && diagnostics) {
+                            this._onErrors(diagnostics);
+                        }
                         this.append('Process exited with code 1', 'exit');
+                        if (metrics) {
+                            this.recordRun(metrics, 1);
+                        }
                         if (this.isRunning && this._runReject) {
                             this._runReject(new Error(message));
                             this._runResolve = null;
@@ -88,6 +111,7 @@ const TypeScriptOutput = {
                         break;
 
                     case 'done':
+                        stopRunWatchdog(this);
                         this.isRunning = false;
                         this.setStatus('Idle');
                         if (this._runResolve) {
@@ -116,8 +140,11 @@ const TypeScriptOutput = {
     /**
      * Run a full TypeScript script
      * @param {string} code - TypeScript source code
+     * @param {Object} [options]
+     * @param {number} [options.timeLimit] - Seconds before the run is interrupted; 0 for no limit
+     * @param {boolean} [options.profile] - Time every function and show a hotspot table
      */
-    async run(code) {
+    async run(code, options = {}) {
         if (this._needsInit || !this.worker) {
             await this.init();
         }
@@ -128,14 +155,25 @@ const TypeScriptOutput = {
         this.isRunning = true;
         this.ensureWindow();
         this.clear();
+        if (this._onErrors) {
+            this._onErrors([]);
+        }
         this.setStatus('Running...');
+        startRunWatchdog(this, options.timeLimit || 0, {
+            runtime: 'TypeScript',
+            // Only reaches a run that is waiting on timers; a busy loop is killed after the grace period
+            interrupt: () => {
+                this.worker.postMessage({ type: 'interrupt' });
+                this.setStatus('Stopping...');
+            }
+        });
 
         this._runPromise = new Promise((resolve, reject) => {
             this._runResolve = resolve;
             this._runReject = reject;
             this.worker.postMessage({
                 type: 'run',
-                data: { code }
+                data: { code, profile: Boolean(options.profile) }
             });
         });
         return this._runPromise;
@@ -180,7 +218,10 @@ const TypeScriptOutput = {
                 clearBtn.textContent = 'Clear';
                 clearBtn.addEventListener('click', () => this.clear());
 
+                const { button: historyBtn, panel: historyPanel } = this.history.createControls();
+
                 leftGroup.appendChild(clearBtn);
+                leftGroup.appendChild(historyBtn);
                 toolbar.appendChild(leftGroup);
                 toolbar.appendChild(status);
 
@@ -188,6 +229,7 @@ const TypeScriptOutput = {
                 output.className = 'output-log';
 
                 wrapper.appendChild(toolbar);
+                wrapper.appendChild(historyPanel);
                 wrapper.appendChild(output);
                 container.appendChild(wrapper);
 
@@ -225,6 +267,52 @@ const TypeScriptOutput = {
         this.outputEl.scrollTop = this.outputEl.scrollHeight;
     },
 
+    /**
+     * Append an error whose compile diagnostics link to the editor
+     * @param {string} text - Error text
+     */
+    appendDiagnostics(text) {
+        if (!this.outputEl) {
+            return;
+        }
+        if (!this._onNavigate) {
+            this.append(text, 'exception');
+            return;
+        }
+
+        const line = document.createElement('div');
+        line.className = 'output-line output-exception';
+        line.appendChild(linkifyLocations(text, DIAGNOSTIC_PATTERN, (match) => ({
+            line: Number(match[1]),
+            column: Number(match[2])
+        }), this._onNavigate));
+        this.outputEl.appendChild(line);
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+    },
+
+    /**
+     * Show the hotspot table of a Profile run
+     * @param {Object} profile - {rows, hidden, totalMs} from the worker
+     */
+    appendProfile(profile) {
+        if (!this.outputEl) {
+            return;
+        }
+        this.outputEl.appendChild(renderProfileReport(profile, { onNavigate: this._onNavigate }));
+        this.outputEl.scrollTop = this.outputEl.scrollHeight;
+    },
+
+    /**
+     * Connect compile diagnostics to the editor
+     * @param {Object} hooks
+     * @param {Function} [hooks.onNavigate] - Called with {line, column} when a diagnostic is clicked
+     * @param {Function} [hooks.onErrors] - Called with the diagnostics of a failed compile; empty when a run starts
+     */
+    setEditorHooks(hooks = {}) {
+        this._onNavigate = hooks.onNavigate || null;
+        this._onErrors = hooks.onErrors || null;
+    },
+
     /**
      * Append streaming output text
      * @param {string} text - Output text
@@ -252,6 +340,16 @@ const TypeScriptOutput = {
         this.outputEl.scrollTop = this.outputEl.scrollHeight;
     },
 
+    /**
+     * Show a run's metrics under its exit line and add them to the history
+     * @param {Object} metrics - From the worker's result
+     * @param {number} exitCode
+     */
+    recordRun(metrics, exitCode) {
+        this.append(formatMetrics(metrics), 'metrics');
+        this.history.add(metrics, exitCode);
+    },
+
     /**
      * Clear output
      */
@@ -286,6 +384,19 @@ const TypeScriptOutput = {
      * Terminate the worker and reset state
      */
     terminate() {
+        this.terminateWorker();
+        if (this.keyBindings) {
+            this.keyBindings.destroy();
+            this.keyBindings = null;
+        }
+        this.clearBtn = null;
+    },
+
+    /**
+     * Kill the worker, ending any run; the next run starts a new one
+     */
+    terminateWorker() {
+        stopRunWatchdog(this);
         if (this.worker) {
             this.worker.terminate();
             this.worker = null;
@@ -306,11 +417,6 @@ const TypeScriptOutput = {
         this._runReject = null;
         this._runPromise = null;
         this.setStatus('Idle');
-        if (this.keyBindings) {
-            this.keyBindings.destroy();
-            this.keyBindings = null;
-        }
-        this.clearBtn = null;
     }
 };
 
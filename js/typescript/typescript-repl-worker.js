@@ -73,7 +73,7 @@ function loadTypeScript() {
     }
     postStatus('Loading TypeScript compiler...');
     try {
-        const compilerUrl = new URL('../vendor/ts-compiler/typescript.js', self.location.href).toString();
+        const compilerUrl = new URL('../vendor/ts-compiler/typescript.min.js', self.location.href).toString();
         importScripts(compilerUrl);
         tsCompiler = self.ts;
         if (!tsCompiler) {
@@ -82,7 +82,7 @@ function loadTypeScript() {
         postStatus('TypeScript compiler ready (local)');
     } catch (error) {
         throw new Error(
-            `Failed to load local TypeScript compiler (js/vendor/ts-compiler/typescript.js). ${error && error.message ? error.message : String(error)}`
+            `Failed to load local TypeScript compiler (js/vendor/ts-compiler/typescript.min.js). ${error && error.message ? error.message : String(error)}`
         );
     }
 }
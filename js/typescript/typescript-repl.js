@@ -3,12 +3,20 @@
  */
 
 import DebugLogger from '../debug-logger.js';
+import ConsoleHistory from '../console-history.js';
+import ConsoleSession, { createSessionToolbar, downloadText } from '../console-session.js';
 
 const TypeScriptREPL = {
     worker: null,
     term: null,
     isLoaded: false,
+    isExecuting: false,
     currentPrompt: 'ts> ',
+    history: null,
+    session: null,
+    container: null,
+    replaying: false,
+    _onDone: null,
 
     /**
      * Initialize TypeScript REPL in a container
@@ -16,6 +24,7 @@ const TypeScriptREPL = {
      * @returns {Promise} Resolves when REPL is ready
      */
     async init(container) {
+        this.container = container;
         return new Promise((resolve, reject) => {
             DebugLogger.log('Initializing TypeScript REPL...');
             this.worker = new Worker(new URL('./typescript-repl-worker.js', import.meta.url));
@@ -45,6 +54,9 @@ const TypeScriptREPL = {
                         break;
 
                     case 'output':
+                        if (this.session) {
+                            this.session.output(`${message}\n`);
+                        }
                         if (this.term) {
                             this.term.echo(
                                 String(message).replaceAll(']]', '&rsqb;&rsqb;').replaceAll('[[', '&lsqb;&lsqb;'),
@@ -55,6 +67,7 @@ const TypeScriptREPL = {
 
                     case 'error':
                         if (this.term) {
+                            this.session.fail(message);
                             this.term.error(message);
                         } else {
                             DebugLogger.updateTsReplWorkerStatus(`Error: ${message}`);
@@ -70,15 +83,20 @@ const TypeScriptREPL = {
                         break;
 
                     case 'done':
+                        this.isExecuting = false;
                         if (this.term) {
                             this.term.resume();
                         }
+                        this.settleDone();
                         break;
 
                     case 'interrupted':
+                        this.isExecuting = false;
+                        this.replaying = false;
                         if (this.term) {
                             this.term.echo('Interrupted');
                             this.term.set_command('');
+                            this.currentPrompt = 'ts> ';
                             this.term.set_prompt('ts> ');
                             this.term.resume();
                         }
@@ -112,11 +130,33 @@ const TypeScriptREPL = {
     initTerminal(container, prompt) {
         container.innerHTML = '';
 
+        this.session = new ConsoleSession({
+            language: 'typescript',
+            title: 'TypeScript Console',
+            extension: 'ts',
+            prompt: 'ts> ',
+            continuationPrompt: '... '
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'repl-wrapper';
+        wrapper.appendChild(createSessionToolbar({
+            onExport: (format) => this.exportSession(format),
+            onImport: (text) => this.importSession(text)
+        }));
+
         const termContainer = document.createElement('div');
-        termContainer.style.height = '100%';
-        container.appendChild(termContainer);
+        wrapper.appendChild(termContainer);
+        container.appendChild(wrapper);
 
+        this.history = new ConsoleHistory('typescriptConsoleHistory');
         const interpreter = (command) => {
+            if (this.currentPrompt === 'ts> ' && this.history.handle(command)) {
+                return;
+            }
+            this.history.add(command);
+            this.session.input(command, this.currentPrompt);
+            this.isExecuting = true;
             this.term.pause();
             this.worker.postMessage({
                 type: 'execute',
@@ -127,6 +167,9 @@ const TypeScriptREPL = {
         this.term = $(termContainer).terminal(interpreter, {
             greetings: 'TypeScript REPL ready',
             prompt: prompt || 'ts> ',
+            // ConsoleHistory stores the commands; the terminal only searches them
+            memory: true,
+            historySize: false,
             completionEscape: false,
             completion: (command, callback) => {
                 this.term._completionCallback = callback;
@@ -151,6 +194,82 @@ const TypeScriptREPL = {
         });
 
         this.term.ready = Promise.resolve();
+        this.history.attach(this.term);
+    },
+
+    /**
+     * Download the session
+     * @param {string} format - 'text', 'markdown' or 'source'
+     */
+    exportSession(format) {
+        const { filename, text } = this.session.export(format);
+        downloadText(filename, text);
+    },
+
+    /**
+     * Restart the console and replay the inputs of a transcript or source file
+     * @param {string} text - File contents
+     */
+    async importSession(text) {
+        const inputs = this.session.parse(text);
+        if (!inputs.length) {
+            this.term.error('Nothing to import: the file has no console inputs');
+            return;
+        }
+        if (this.isExecuting) {
+            this.term.error('The console is busy; wait for the running command or press Ctrl+C');
+            return;
+        }
+
+        const container = this.container;
+        this.destroy();
+        container.innerHTML = '<div class="terminal-loading"><div class="spinner"></div><span>Restarting...</span></div>';
+        try {
+            await this.init(container);
+        } catch (error) {
+            DebugLogger.log(`TypeScript Console restart failed: ${error.message}`);
+            return;
+        }
+        await this.replay(inputs);
+    },
+
+    /**
+     * Run inputs one after another, echoing each at the prompt
+     * @param {Array<string>} inputs
+     */
+    async replay(inputs) {
+        this.replaying = true;
+        this.term.echo(`[[;#9ca3af;]// Replaying ${inputs.length} input${inputs.length === 1 ? '' : 's'}]`);
+        for (const input of inputs) {
+            if (!this.replaying || !this.term) {
+                break;
+            }
+            const echoed = input.split('\n')
+                .map((line, index) => `${index ? '... ' : 'ts> '}${line}`)
+                .join('\n');
+            this.term.echo($.terminal.escape_brackets(echoed));
+            this.session.input(input, this.session.prompt);
+
+            const done = new Promise((resolve) => {
+                this._onDone = resolve;
+            });
+            this.isExecuting = true;
+            this.term.pause();
+            this.worker.postMessage({
+                type: 'execute',
+                data: { command: input }
+            });
+            await done;
+        }
+        this.replaying = false;
+    },
+
+    settleDone() {
+        if (this._onDone) {
+            const resolve = this._onDone;
+            this._onDone = null;
+            resolve();
+        }
     },
 
     /**
@@ -163,10 +282,19 @@ const TypeScriptREPL = {
             this.worker = null;
             DebugLogger.updateTsReplWorkerStatus('Terminated');
         }
+        if (this.history) {
+            this.history.detach();
+            this.history = null;
+        }
         if (this.term) {
             this.term.destroy();
             this.term = null;
         }
+        this.isExecuting = false;
+        this.replaying = false;
+        this.settleDone();
+        this.session = null;
+        this.container = null;
         this.isLoaded = false;
     }
 };
@@ -85,8 +85,7 @@ const WindowManager = {
         document.getElementById('window-container').appendChild(windowEl);
 
         windowEl.addEventListener('mousedown', () => {
-            this.activeWindow = windowEl;
-            windowEl.style.zIndex = 1000 + (++this.windowCount);
+            this.focusWindow(windowEl);
         });
 
         // Setup event listeners
@@ -110,6 +109,15 @@ const WindowManager = {
         return windowEl;
     },
 
+    /**
+     * Bring a window to the front and make it active
+     * @param {HTMLElement} windowEl
+     */
+    focusWindow(windowEl) {
+        this.activeWindow = windowEl;
+        windowEl.style.zIndex = 1000 + (++this.windowCount);
+    },
+
     /**
      * Setup dragging functionality
      * @param {HTMLElement} windowEl - The window element
@@ -9,6 +9,7 @@ export const MessageType = {
     INIT: 'init',
     STATUS: 'status',
     READY: 'ready',
+    SNAPSHOT: 'snapshot',
 
     // Execution
     RUN: 'run',
@@ -16,6 +17,15 @@ export const MessageType = {
     STREAM: 'stream',
     RESULT: 'result',
     DONE: 'done',
+    INPUT_REQUEST: 'input_request',
+    IMAGE: 'image',
+    RUN_TESTS: 'run_tests',
+    TEST_RESULTS: 'test_results',
+    PAUSED: 'paused',
+
+    // Home directory
+    WRITE_FILES: 'write_files',
+    FILES_WRITTEN: 'files_written',
 
     // Error handling
     ERROR: 'error',
@@ -24,14 +34,28 @@ export const MessageType = {
     PROMPT: 'prompt',
     COMPLETIONS: 'completions',
     INTERRUPTED: 'interrupted',
-    COMPLETE: 'complete'
+    COMPLETE: 'complete',
+    RUN_SOURCE: 'run_source',
+    INSPECT: 'inspect',
+    VARIABLES: 'variables',
+    DELETE_VARIABLE: 'delete_variable',
+    COPY_VARIABLE: 'copy_variable',
+    VARIABLE_REPR: 'variable_repr',
+
+    // Analysis specific
+    LINT: 'lint',
+    DIAGNOSTICS: 'diagnostics',
+    HOVER: 'hover',
+    HOVER_INFO: 'hover_info'
 };
 
 // Status Messages
 export const StatusMessage = {
     FETCHING_PYODIDE: 'Fetching pyodide.mjs...',
     INITIALIZING: 'Initializing...',
+    RESTORING_SNAPSHOT: 'Restoring shared runtime...',
     LOADING_RUNTIME: 'Loading Python runtime...',
+    MOUNTING_HOME: 'Mounting home directory...',
     READY: 'Ready',
     CREATING_WORKER: 'Creating worker...',
     NOT_INITIALIZED: 'Python runtime not initialized'
@@ -58,6 +82,12 @@ export function createReadyMessage(data = {}) {
     return { type: MessageType.READY, ...data };
 }
 
+// Helper function to create a snapshot message; a null snapshot carries why
+// taking or restoring it failed
+export function createSnapshotMessage(snapshot, message = '') {
+    return { type: MessageType.SNAPSHOT, snapshot, message };
+}
+
 // Helper function to create a stream message
 export function createStreamMessage(stream, text) {
     return { type: MessageType.STREAM, stream, text };
@@ -68,11 +98,31 @@ export function createResultMessage(data) {
     return { type: MessageType.RESULT, ...data };
 }
 
+// Helper function to create a test results message
+export function createTestResultsMessage(file, results, wallMs) {
+    return { type: MessageType.TEST_RESULTS, file, results, wallMs };
+}
+
 // Helper function to create a done message
 export function createDoneMessage() {
     return { type: MessageType.DONE };
 }
 
+// Helper function to create an input request message
+export function createInputRequestMessage() {
+    return { type: MessageType.INPUT_REQUEST };
+}
+
+// Helper function to create a debugger pause message
+export function createPausedMessage(state) {
+    return { type: MessageType.PAUSED, ...state };
+}
+
+// Helper function to create the reply to a write_files request
+export function createFilesWrittenMessage(id, error = '') {
+    return { type: MessageType.FILES_WRITTEN, id, error };
+}
+
 // Worker Status Type to CSS Class Mapping
 export const WorkerStatusClass = {
     READY: 'status-ready',
@@ -88,13 +138,19 @@ export function getStatusClass(statusMessage) {
         return WorkerStatusClass.READY;
     }
     if (statusMessage === StatusMessage.INITIALIZING ||
-        statusMessage === StatusMessage.CREATING_WORKER) {
+        statusMessage === StatusMessage.RESTORING_SNAPSHOT ||
+        statusMessage === StatusMessage.CREATING_WORKER ||
+        statusMessage === StatusMessage.MOUNTING_HOME) {
         return WorkerStatusClass.INITIALIZING;
     }
     if (statusMessage === StatusMessage.FETCHING_PYODIDE ||
         statusMessage === StatusMessage.LOADING_RUNTIME) {
         return WorkerStatusClass.LOADING;
     }
+    // Per-package progress, e.g. "Loading numpy (1/2)..." and "Loaded numpy"
+    if (statusMessage && /^Load(ing|ed) /.test(statusMessage)) {
+        return WorkerStatusClass.LOADING;
+    }
     if (statusMessage === StatusMessage.NOT_INITIALIZED) {
         return WorkerStatusClass.NOT_INITIALIZED;
     }
@@ -0,0 +1,289 @@
+/**
+ * Service Worker - Offline asset cache
+ * Precaches the app shell, the TypeScript compiler, the Pyodide runtime and
+ * the CDN scripts the page loads. The app's own files are fetched from the
+ * network first, so a deployment reaches returning visitors right away, and
+ * come from the cache when the network is down. Vendored files and CDN URLs
+ * are pinned to a version, so they are answered from the cache first.
+ * Anything else fetched from this origin or the CDNs is cached the first
+ * time it loads. Bump CACHE_VERSION when a vendored file or a CDN URL
+ * changes; the new worker fills a fresh cache and deletes the old one when
+ * it takes over. The worker also adds the headers that make the page
+ * cross-origin isolated, which static hosts such as GitHub Pages cannot send
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'language-playground-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Installing fails without these, so the worker tries again on the next visit
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/code-storage.js',
+    'js/console-history.js',
+    'js/console-session.js',
+    'js/debug-logger.js',
+    'js/keybindings.js',
+    'js/main.js',
+    'js/offline-cache.js',
+    'js/output-links.js',
+    'js/profile-report.js',
+    'js/rich-output.js',
+    'js/run-history.js',
+    'js/run-watchdog.js',
+    'js/sync-channel.js',
+    'js/window-manager.js',
+    'js/worker-messages.js',
+    'js/pydiode/pyodide-analysis-worker.js',
+    'js/pydiode/pyodide-completion.js',
+    'js/pydiode/pyodide-config.js',
+    'js/pydiode/pyodide-debugger.js',
+    'js/pydiode/pyodide-display.js',
+    'js/pydiode/pyodide-fs.js',
+    'js/pydiode/pyodide-lint.js',
+    'js/pydiode/pyodide-loader.js',
+    'js/pydiode/pyodide-output-worker.js',
+    'js/pydiode/pyodide-packages.js',
+    'js/pydiode/pyodide-profile.js',
+    'js/pydiode/pyodide-runtime.js',
+    'js/pydiode/pyodide-tests.js',
+    'js/pydiode/pyodide-variables.js',
+    'js/pydiode/pyodide-worker.js',
+    'js/pydiode/python-analysis.js',
+    'js/pydiode/python-debugger.js',
+    'js/pydiode/python-editor.js',
+    'js/pydiode/python-output.js',
+    'js/pydiode/python-project.js',
+    'js/pydiode/python-repl.js',
+    'js/pydiode/python-variables.js',
+    'js/pydiode/run-config.js',
+    'js/pydiode/test-report.js',
+    'js/typescript/typescript-editor.js',
+    'js/typescript/typescript-output-worker.js',
+    'js/typescript/typescript-output.js',
+    'js/typescript/typescript-repl-worker.js',
+    'js/typescript/typescript-repl.js'
+];
+
+// Cached when they can be; the ones that fail are reported and left to the
+// runtime cache, e.g. a deployment without the vendored Pyodide
+const ASSETS = [
+    'js/vendor/ts-compiler/typescript.min.js',
+    'js/vendor/pyodide/pyodide.mjs',
+    'js/vendor/pyodide/pyodide.asm.js',
+    'js/vendor/pyodide/pyodide.asm.wasm',
+    'js/vendor/pyodide/python_stdlib.zip',
+    'js/vendor/pyodide/pyodide-lock.json',
+    'https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4',
+    'https://cdn.jsdelivr.net/npm/jquery@3.7.1',
+    'https://cdn.jsdelivr.net/npm/jquery.terminal@2.35.2/js/jquery.terminal.min.js',
+    'https://cdn.jsdelivr.net/npm/jquery.terminal@2.35.2/css/jquery.terminal.min.css',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/ace.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/ext-language_tools.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/mode-python.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/mode-typescript.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/mode-json.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/mode-markdown.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/theme-monokai.js',
+    'https://cdn.jsdelivr.net/npm/ace-builds@1.32.3/src-noconflict/worker-json.js'
+];
+
+// Cross-origin hosts worth caching; all of them answer CORS requests
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Same-origin files that change only with CACHE_VERSION
+const PINNED_PATH = '/js/vendor/';
+
+// SharedArrayBuffer needs them on the page and its workers; CDN responses
+// are CORS responses, so require-corp lets them through
+const ISOLATION_HEADERS = {
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Embedder-Policy': 'require-corp',
+    'Cross-Origin-Resource-Policy': 'same-origin'
+};
+
+// Hits and misses are sent to the page in batches, at most this often
+const REPORT_DELAY = 1000;
+
+let pending = { hits: [], misses: [], refreshed: [] };
+let reportTimer = null;
+
+/**
+ * @param {string} url
+ * @returns {Request} Cross-origin requests go out as CORS so the response is
+ *   readable and can be checked before it is cached
+ */
+function createRequest(url) {
+    const target = new URL(url, self.registration.scope);
+    if (target.origin === self.location.origin) {
+        return new Request(target.href);
+    }
+    return new Request(target.href, { mode: 'cors', credentials: 'omit' });
+}
+
+/**
+ * Send a message to every open page, including one still loading
+ * @param {Object} message - {type, data}
+ * @returns {Promise<void>}
+ */
+async function notifyPages(message) {
+    const pages = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    pages.forEach((page) => page.postMessage(message));
+}
+
+/**
+ * Queue a request for the next report
+ * @param {FetchEvent} event
+ * @param {string} url
+ * @param {string} outcome - hits (from the cache), misses (from the network,
+ *   not cached before) or refreshed (from the network, replacing the cached copy)
+ */
+function record(event, url, outcome) {
+    pending[outcome].push(url);
+    if (reportTimer) {
+        return;
+    }
+    // Waiting also gives a page being navigated to time to exist
+    event.waitUntil(new Promise((resolve) => {
+        reportTimer = setTimeout(() => {
+            const report = pending;
+            pending = { hits: [], misses: [], refreshed: [] };
+            reportTimer = null;
+            notifyPages({ type: 'cache-report', data: { version: CACHE_VERSION, ...report } }).then(resolve, resolve);
+        }, REPORT_DELAY);
+    }));
+}
+
+/**
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isCacheable(request) {
+    if (request.method !== 'GET') {
+        return false;
+    }
+    const url = new URL(request.url);
+    return url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname);
+}
+
+/**
+ * @param {Request} request
+ * @returns {boolean} Whether the URL only changes along with CACHE_VERSION
+ */
+function isPinned(request) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return true;
+    }
+    return url.pathname.startsWith(new URL(self.registration.scope).pathname + PINNED_PATH.slice(1));
+}
+
+/**
+ * @param {Cache} cache
+ * @param {Request} request
+ * @returns {Promise<Response|undefined>}
+ */
+function matchCached(cache, request) {
+    // The page is the same whatever its query, e.g. ?pyodide=cdn
+    return request.mode === 'navigate'
+        ? cache.match(request, { ignoreSearch: true })
+        : cache.match(request);
+}
+
+/**
+ * Fetch a request and keep the response for next time
+ * @param {FetchEvent} event
+ * @param {Cache} cache
+ * @returns {Promise<Response>}
+ */
+async function fetchAndStore(event, cache) {
+    const request = event.request;
+    const url = new URL(request.url);
+    const response = await fetch(url.origin === self.location.origin ? request : createRequest(request.url));
+    if (response.ok) {
+        event.waitUntil(cache.put(request, response.clone()));
+    }
+    return response;
+}
+
+/**
+ * Answer pinned files from the cache first and the app's own files from the
+ * network first, falling back to the cache when offline
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function respond(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+
+    if (isPinned(request)) {
+        const cached = await matchCached(cache, request);
+        if (cached) {
+            record(event, request.url, 'hits');
+            return cached;
+        }
+        record(event, request.url, 'misses');
+        return fetchAndStore(event, cache);
+    }
+
+    try {
+        const response = await fetchAndStore(event, cache);
+        record(event, request.url, response.ok ? 'refreshed' : 'misses');
+        return response;
+    } catch (error) {
+        const cached = await matchCached(cache, request);
+        record(event, request.url, cached ? 'hits' : 'misses');
+        if (!cached) {
+            throw error;
+        }
+        return cached;
+    }
+}
+
+/**
+ * @param {Response} response
+ * @returns {Response} A same-origin response with ISOLATION_HEADERS added;
+ *   other responses are returned unchanged
+ */
+function isolate(response) {
+    if (response.type !== 'basic') {
+        return response;
+    }
+    const headers = new Headers(response.headers);
+    Object.entries(ISOLATION_HEADERS).forEach(([name, value]) => headers.set(name, value));
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL.map(createRequest));
+        const results = await Promise.allSettled(ASSETS.map((url) => cache.add(createRequest(url))));
+        const failed = ASSETS.filter((url, index) => results[index].status === 'rejected');
+        await notifyPages({
+            type: 'cache-installed',
+            data: { version: CACHE_VERSION, cached: APP_SHELL.length + ASSETS.length - failed.length, failed }
+        });
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        const stale = names.filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+        await Promise.all(stale.map((name) => caches.delete(name)));
+        // Take over a first visit right away; an update only activates once
+        // no page runs the old version, so no page mixes two sets of pinned files
+        await self.clients.claim();
+        await notifyPages({ type: 'cache-activated', data: { version: CACHE_VERSION, removed: stale } });
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    if (!isCacheable(event.request)) {
+        return;
+    }
+    event.respondWith(respond(event).then(isolate));
+});
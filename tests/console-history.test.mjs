@@ -0,0 +1,24 @@
+/**
+ * Tests for recognizing the console's history command
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HISTORY_COMMAND } from '../js/console-history.js';
+
+test('HISTORY_COMMAND matches the history command only', () => {
+    const argument = (line) => {
+        const match = HISTORY_COMMAND.exec(line);
+        return match ? match[1] || '' : null;
+    };
+    assert.equal(argument('history'), '');
+    assert.equal(argument('history clear'), 'clear');
+    assert.equal(argument('history 12'), '12');
+    assert.equal(argument('history print('), 'print(');
+    for (const statement of ['history = []', 'history += [1]', 'history == 3', 'history[0]', 'history.append(1)',
+        'history . x', 'history (1)', 'history -1', 'history: list = []', 'historyx']) {
+        assert.equal(argument(statement), null, statement);
+    }
+});
@@ -0,0 +1,32 @@
+/**
+ * Tests for exporting console sessions and finding the inputs of a transcript
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import ConsoleSession from '../js/console-session.js';
+
+test('ConsoleSession.parse finds the inputs of each export format', () => {
+    const session = new ConsoleSession({
+        language: 'python',
+        title: 'Python Console',
+        extension: 'py',
+        prompt: '>>> ',
+        continuationPrompt: '... '
+    });
+    session.input('x = 1', '>>> ');
+    session.input('for i in range(2):', '>>> ');
+    session.input('    print(i)', '... ');
+    session.input('', '... ');
+    session.output('0\n1\n');
+    session.input('1 / 0', '>>> ');
+    session.fail('ZeroDivisionError: division by zero');
+
+    assert.deepEqual(session.parse(session.toText()), ['x = 1', 'for i in range(2):\n    print(i)\n', '1 / 0']);
+    assert.deepEqual(session.parse(session.toMarkdown()), ['x = 1', 'for i in range(2):\n    print(i)', '1 / 0']);
+    assert.equal(session.toSource(), 'x = 1\nfor i in range(2):\n    print(i)\n\n');
+    assert.deepEqual(session.parse('print("plain")\r\n'), ['print("plain")\n']);
+    assert.deepEqual(session.parse('  \n'), []);
+});
@@ -0,0 +1,21 @@
+/**
+ * Tests for the ordering of the profile hotspot table
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sortRows } from '../js/profile-report.js';
+
+test('sortRows orders numbers and text in both directions', () => {
+    const rows = [
+        { name: 'b', calls: 2, totalMs: 1.5 },
+        { name: 'a', calls: 10, totalMs: 0.5 },
+        { name: 'C', calls: 1, totalMs: 3 }
+    ];
+    assert.deepEqual(sortRows(rows, { key: 'calls', descending: true }).map((row) => row.calls), [10, 2, 1]);
+    assert.deepEqual(sortRows(rows, { key: 'totalMs', descending: false }).map((row) => row.name), ['a', 'b', 'C']);
+    assert.deepEqual(sortRows(rows, { key: 'name', descending: false }).map((row) => row.name), ['a', 'b', 'C']);
+    assert.equal(rows[0].name, 'b', 'the input is left in place');
+});
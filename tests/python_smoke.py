@@ -0,0 +1,266 @@
+"""Smoke-test the Python helper modules embedded in js/pydiode under CPython.
+
+Each module is cut out of its JavaScript file the way installHelperModule
+writes it into Pyodide, then exercised with a few calls. A check that needs a
+package Pyodide loads on demand, such as jedi, is skipped when it is not
+installed.
+
+Run with: python3 tests/python_smoke.py
+"""
+import importlib
+import io
+import json
+import os
+import re
+import runpy
+import sys
+import tempfile
+import textwrap
+import types
+from contextlib import redirect_stdout
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+PYDIODE = os.path.join(ROOT, "js", "pydiode")
+
+# The JavaScript values the template literals interpolate
+INTERPOLATIONS = {"${JSON.stringify(PROJECT_DIR)}": json.dumps("/home/pyodide")}
+
+TEMPLATE = re.compile(r"^const (\w+) = `\n(.*?)^`;", re.S | re.M)
+ESCAPE = re.compile(r"\\(.)", re.S)
+
+
+def module_source(js_file, constant):
+    """The text of a template literal, with its escapes and interpolations resolved."""
+    with open(os.path.join(PYDIODE, js_file), encoding="utf-8") as f:
+        templates = dict(TEMPLATE.findall(f.read()))
+    text = templates[constant]
+    for placeholder, value in INTERPOLATIONS.items():
+        text = text.replace(placeholder, value)
+    if "${" in re.sub(r"\\\$", "", text):
+        raise ValueError(f"{constant} interpolates a value this script does not know")
+    # Template escapes: \\, \`, \$ and \n; the modules only use these
+    return ESCAPE.sub(lambda m: {"n": "\n", "t": "\t"}.get(m.group(1), m.group(1)), text)
+
+
+def install(directory, name, js_file, constant):
+    with open(os.path.join(directory, f"{name}.py"), "w", encoding="utf-8") as f:
+        f.write(module_source(js_file, constant))
+    return importlib.import_module(name)
+
+
+def write(directory, name, source):
+    path = os.path.join(directory, name)
+    with open(path, "w", encoding="utf-8") as f:
+        f.write(textwrap.dedent(source))
+    return path
+
+
+def check_display(helpers, project):
+    sent = []
+    js = types.ModuleType("js")
+    js.Object = types.SimpleNamespace(new=types.SimpleNamespace)
+    js.postMessage = sent.append
+    sys.modules["js"] = js
+    display = install(helpers, "playground_display", "pyodide-display.js", "DISPLAY_MODULE").display
+
+    class NoImage:
+        def _repr_png_(self):
+            return None
+
+        def __repr__(self):
+            return "NoImage()"
+
+    class Svg:
+        def _repr_png_(self):
+            return None
+
+        def _repr_svg_(self):
+            return "<svg/>", {}
+
+    out = io.StringIO()
+    with redirect_stdout(out):
+        display(NoImage(), Svg(), Svg)
+    assert [m.mime for m in sent] == ["image/svg+xml"], sent
+    assert out.getvalue().splitlines() == ["NoImage()", repr(Svg)], out.getvalue()
+
+
+def check_lint(helpers, project):
+    lint = install(helpers, "playground_lint", "pyodide-lint.js", "LINT_MODULE").lint
+    messages = [d["message"] for d in lint("import os\nprint(undefined_name)\n")]
+    assert any("undefined_name" in m for m in messages), messages
+    assert any("os" in m for m in messages), messages
+    assert lint("x = 1\nprint(x)\n") == []
+    error = lint("def f(:\n")[0]
+    assert error["severity"] == "error" and error["message"].startswith("SyntaxError"), error
+
+    # Names inside string annotations count as used, and undefined ones are reported
+    forward = textwrap.dedent("""
+        from typing import TYPE_CHECKING, Annotated, Literal
+
+        if TYPE_CHECKING:
+            import os
+            import decimal
+
+        def f(x: 'os.PathLike', mode: Literal["r", "w"]) -> "list[Missing]":
+            total: Annotated["decimal.Decimal", "cents"] = 0
+            return [x, mode, total]
+    """)
+    messages = [(d["line"], d["message"]) for d in lint(forward)]
+    assert messages == [(8, "undefined name 'Missing'")], messages
+
+
+def check_completion(helpers, project):
+    if importlib.util.find_spec("jedi") is None:
+        return "skipped, jedi is not installed"
+    module = install(helpers, "playground_complete", "pyodide-completion.js", "COMPLETION_MODULE")
+    names = [item["name"] for item in module.complete("import os\nos.pa", "main.py", 2, 5)]
+    assert "path" in names, names
+    return None
+
+
+def check_tests(helpers, project):
+    run_tests = install(helpers, "playground_tests", "pyodide-tests.js", "TESTS_MODULE").run_tests
+    path = write(project, "test_sample.py", """
+        import unittest
+
+        def test_passes():
+            assert 1 + 1 == 2
+
+        def test_fails():
+            expected = [1, 2, 3]
+            assert [1, 2, 4] == expected
+
+        class Case(unittest.TestCase):
+            def test_skipped(self):
+                self.skipTest("not here")
+    """)
+    result = run_tests(path, "test_sample")
+    outcomes = {t["name"]: t["outcome"] for t in result["tests"]}
+    assert outcomes == {"test_passes": "passed", "test_fails": "failed", "test_skipped": "skipped"}, outcomes
+    failed = next(t for t in result["tests"] if t["name"] == "test_fails")
+    # The rewritten assert shows both sides
+    assert failed["diff"] and failed["failureLine"] == 9, failed
+    broken = write(project, "test_broken.py", "def test_x(:\n")
+    assert run_tests(broken, "test_broken")["error"].startswith("  File"), "syntax errors are reported"
+
+    exits = write(project, "test_exits.py", """
+        import sys
+        import unittest
+
+        def test_exit():
+            sys.exit(3)
+
+        class Case(unittest.TestCase):
+            def test_exit(self):
+                sys.exit()
+
+        def test_stop():
+            raise KeyboardInterrupt
+
+        def test_never():
+            pass
+    """)
+    result = run_tests(exits, "test_exits")
+    # sys.exit() fails the test with its code; Ctrl+C keeps what already ran
+    summary = [(t["name"], t["outcome"], t["message"]) for t in result["tests"]]
+    assert summary == [
+        ("test_exit", "failed", "SystemExit: exited with code 3"),
+        ("test_exit", "failed", "SystemExit: exited with code 0"),
+    ], summary
+    assert result["interrupted"] and sys.stdout is sys.__stdout__, result
+    exiting = write(project, "test_exiting.py", "import sys\nsys.exit(2)\n")
+    assert "SystemExit: 2" in run_tests(exiting, "test_exiting")["error"], "an exit while importing is reported"
+
+
+def check_debugger(helpers, project):
+    Debugger = install(helpers, "playground_debugger", "pyodide-debugger.js", "DEBUGGER_MODULE").Debugger
+    path = write(project, "debugged.py", """
+        def square(n):
+            result = n * n
+            return result
+
+        total = square(3)
+        total += 1
+    """)
+    stops = []
+
+    def wait(state):
+        state = json.loads(state)
+        stops.append((state["line"], [frame["name"] for frame in state["frames"]]))
+        # Step into square, then over its lines, then run to the end
+        return json.dumps({"command": ["into", "over", "continue"][min(len(stops) - 1, 2)]})
+
+    debugger = Debugger(project, {"debugged.py": [6]}, wait)
+    debugger.start()
+    try:
+        runpy.run_path(path, run_name="__main__")
+    finally:
+        debugger.stop()
+    assert stops[:3] == [(6, ["<module>"]), (3, ["square", "<module>"]), (4, ["square", "<module>"])], stops
+
+
+def check_variables(helpers, project):
+    module = install(helpers, "playground_variables", "pyodide-variables.js", "VARIABLES_MODULE")
+    namespace = {"__name__": "__main__"}
+    inspector = module.Inspector(namespace)
+    namespace.update(items=[1, [2, 3]], os=os)
+    listed = inspector.list()
+    assert [v["name"] for v in listed] == ["items"], listed
+    assert listed[0]["expandable"]
+    assert [v["repr"] for v in inspector.children(["items", 1])] == ["2", "3"]
+    assert inspector.full_repr(["items"]) == "[1, [2, 3]]"
+    assert inspector.full_repr(["missing"]).startswith("<repr failed")
+    inspector.delete("items")
+    assert inspector.list() == []
+
+
+def check_profile(helpers, project):
+    Profile = install(helpers, "playground_profile", "pyodide-profile.js", "PROFILE_MODULE").Profile
+    path = write(project, "profiled.py", """
+        def fib(n):
+            return n if n < 2 else fib(n - 1) + fib(n - 2)
+
+        fib(10)
+    """)
+    profile = Profile(project)
+    profile.start()
+    try:
+        runpy.run_path(path, run_name="__main__")
+    finally:
+        profile.stop()
+    stats = profile.rows()
+    fib = next(row for row in stats["rows"] if row["name"] == "fib")
+    assert (fib["calls"], fib["primitiveCalls"]) == (177, 1), fib
+    assert fib["target"] == {"file": "profiled.py", "line": 2}, fib
+    assert not any("runpy" in row["source"] for row in stats["rows"]), stats["rows"]
+
+
+# (name, check) pairs; a check raises on failure and may return a note
+CHECKS = [
+    ("display", check_display),
+    ("lint", check_lint),
+    ("completion", check_completion),
+    ("tests", check_tests),
+    ("debugger", check_debugger),
+    ("variables", check_variables),
+    ("profile", check_profile),
+]
+
+
+def main():
+    failures = 0
+    with tempfile.TemporaryDirectory() as helpers, tempfile.TemporaryDirectory() as project:
+        sys.path.insert(0, helpers)
+        for name, check in CHECKS:
+            try:
+                note = check(helpers, project)
+            except Exception as e:
+                failures += 1
+                print(f"FAIL {name}: {type(e).__name__}: {e}")
+            else:
+                print(f"ok   {name}" + (f" ({note})" if note else ""))
+    return 1 if failures else 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
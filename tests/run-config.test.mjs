@@ -0,0 +1,26 @@
+/**
+ * Tests for parsing run configuration arguments and environments
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import RunConfig from '../js/pydiode/run-config.js';
+
+test('splitArgs splits like a POSIX shell', () => {
+    assert.deepEqual(RunConfig.splitArgs(''), []);
+    assert.deepEqual(RunConfig.splitArgs('  -v   --name=x  '), ['-v', '--name=x']);
+    assert.deepEqual(RunConfig.splitArgs(`'a b' "c \\"d\\" \\n" e\\ f ''`), ['a b', 'c "d" \\n', 'e f', '']);
+    assert.throws(() => RunConfig.splitArgs('"open'), /Unclosed " in arguments/);
+});
+
+test('parseEnv reads KEY=value lines', () => {
+    assert.deepEqual(RunConfig.parseEnv('# comment\n\nDEBUG=1\n NAME = a=b \nEMPTY='), {
+        DEBUG: '1',
+        NAME: 'a=b',
+        EMPTY: ''
+    });
+    assert.throws(() => RunConfig.parseEnv('OK=1\n1BAD=2'), /Environment line 2 is not KEY=value/);
+    assert.throws(() => RunConfig.parseEnv('=value'), /line 1/);
+});
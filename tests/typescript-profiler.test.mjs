@@ -0,0 +1,80 @@
+/**
+ * Tests for the TypeScript Editor's profiler instrumentation, run against the
+ * output worker's own code and the vendored compiler
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const compiler = new URL('../js/vendor/ts-compiler/typescript.min.js', import.meta.url);
+const worker = new URL('../js/typescript/typescript-output-worker.js', import.meta.url);
+
+// The worker is a classic script; its top-level functions live in the context
+const context = vm.createContext({ self: {}, console, performance });
+vm.runInContext(readFileSync(compiler, 'utf8'), context);
+vm.runInContext(readFileSync(worker, 'utf8'), context);
+const { ts, instrumentSource, createProfiler } = vm.runInContext(
+    'tsCompiler = ts; ({ ts, instrumentSource, createProfiler })',
+    context
+);
+
+// Objects made in the context have its prototypes; compare plain copies
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const SOURCE = `function fib(n: number): number {
+    return n < 2 ? n : fib(n - 1) + fib(n - 2);
+}
+const double = (x: number) => x * 2;
+class Shape {
+    constructor(public side: number) {}
+    area(): number {
+        'use strict';
+        return this.side * this.side;
+    }
+    get label() { return 'shape'; }
+}
+async function later() { return 1; }
+function* count() { yield 1; }
+result = fib(5) + double(new Shape(3).area());
+`;
+
+test('instrumentSource keeps lines and lists the functions it times', () => {
+    const { source, functions } = instrumentSource(SOURCE, 'main.ts');
+    assert.equal(source.split('\n').length, SOURCE.split('\n').length);
+    assert.deepEqual(plain(functions), [
+        { name: '(top level)', line: 1 },
+        { name: 'fib', line: 1 },
+        { name: 'double', line: 4 },
+        { name: 'Shape.area', line: 7 },
+        { name: 'get Shape.label', line: 11 }
+    ]);
+    // The prologue stays the first statement of the body
+    assert.match(source, /'use strict';__playgroundProfiler\.enter\(3\);try\{/);
+});
+
+test('instrumented code runs and reports calls like cProfile', () => {
+    const { source, functions } = instrumentSource(SOURCE, 'main.ts');
+    const profiler = createProfiler(functions);
+    const script = ts.transpile(source, { target: ts.ScriptTarget.ES2020 });
+    const sandbox = vm.createContext({ __playgroundProfiler: profiler, result: 0 });
+    vm.runInContext(script, sandbox);
+    assert.equal(sandbox.result, 23);
+
+    const { rows, hidden, totalMs } = plain(profiler.report());
+    const byName = Object.fromEntries(rows.map((row) => [row.name, row]));
+    // fib(5) makes 15 calls, one of them from outside fib
+    assert.equal(byName.fib.calls, 15);
+    assert.equal(byName.fib.primitiveCalls, 1);
+    assert.equal(byName.double.calls, 1);
+    assert.equal(byName['Shape.area'].calls, 1);
+    assert.equal(byName['get Shape.label'], undefined, 'functions that never ran are left out');
+    assert.deepEqual(byName.fib.target, { line: 1 });
+    assert.equal(hidden, 0);
+    assert.ok(totalMs >= 0);
+    for (const row of rows) {
+        assert.ok(row.cumulativeMs >= row.totalMs - 1e-9, row.name);
+    }
+});